@@ -0,0 +1,99 @@
+/**
+ * Service worker
+ * Precaches the app shell and bundled stop data so the stop list works
+ * offline. Live arrivals are never cached here; the app keeps the last
+ * known arrivals itself.
+ */
+// Filled in at build time by the precache plugin in vite.config.js: an id
+// that changes with the bundle, and the hashed files under assets/
+const BUILD_ID = 'dev';
+const BUILD_ASSETS = [];
+
+// One cache per build, so activate() drops the previous build's hashed files
+const CACHE_NAME = `hop-on-sg-${BUILD_ID}`;
+const BASE = new URL('./', self.registration.scope).pathname;
+
+const PRECACHE_URLS = [
+  BASE,
+  `${BASE}index.html`,
+  `${BASE}manifest.webmanifest`,
+  `${BASE}config.json`,
+  `${BASE}vite.svg`,
+  `${BASE}data/busstops.csv`,
+  `${BASE}data/busroutes.csv`,
+  ...BUILD_ASSETS.map(file => `${BASE}${file}`)
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Serve from the network and refresh the cache, falling back to the cache offline
+ */
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Serve from the cache, fetching and storing on a miss
+ * Used for build assets, whose file names change with their content
+ */
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith(`${BASE}api/`)) return;
+
+  if (request.mode === 'navigate') {
+    // Client-side routes all render from index.html
+    event.respondWith(networkFirst(request, `${BASE}index.html`));
+  } else if (url.pathname.startsWith(`${BASE}assets/`)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith(`${BASE}data/`) || url.pathname === `${BASE}config.json`) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Arrival alert notifications bring the app to the front when tapped
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windows => windows.length > 0 ? windows[0].focus() : self.clients.openWindow(BASE))
+  );
+});
@@ -0,0 +1,79 @@
+/**
+ * Download the LTA DataMall BusRoutes dataset into public/data/busroutes.csv
+ * Usage: LTA_API_KEY=xxx npm run data:routes
+ *
+ * With --if-missing (run before every build) an existing download is kept,
+ * and a missing one without LTA_API_KEY fails the build instead of shipping
+ * an app whose route timeline and journey finder have no data
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+
+const LTA_BASE_URL = 'https://datamall2.mytransport.sg/ltaodataservice';
+const PAGE_SIZE = 500; // DataMall returns at most 500 records per call
+const OUTPUT_FILE = new URL('../public/data/busroutes.csv', import.meta.url);
+const COLUMNS = ['ServiceNo', 'Operator', 'Direction', 'StopSequence', 'BusStopCode', 'Distance'];
+
+const API_KEY = process.env.LTA_API_KEY || process.env.VITE_LTA_API_KEY;
+const IF_MISSING = process.argv.includes('--if-missing');
+
+/**
+ * Whether busroutes.csv already holds route records, not just a header
+ */
+const hasRouteData = async () => {
+  try {
+    const csv = await readFile(OUTPUT_FILE, 'utf8');
+    return csv.trim().split('\n').length > 1;
+  } catch {
+    return false;
+  }
+};
+
+const fetchPage = async (skip) => {
+  const response = await fetch(`${LTA_BASE_URL}/BusRoutes?$skip=${skip}`, {
+    headers: {
+      'AccountKey': API_KEY,
+      'accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`LTA API Error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.value || [];
+};
+
+const main = async () => {
+  if (IF_MISSING && await hasRouteData()) {
+    console.log(`Using the bus routes already in ${OUTPUT_FILE.pathname}`);
+    return;
+  }
+
+  if (!API_KEY) {
+    throw new Error(IF_MISSING
+      ? 'public/data/busroutes.csv has not been downloaded. Set LTA_API_KEY so the build can fetch the BusRoutes dataset'
+      : 'LTA API Key not configured. Please set LTA_API_KEY');
+  }
+
+  const rows = [];
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await fetchPage(skip);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  if (rows.length === 0) {
+    throw new Error('LTA DataMall returned no bus routes');
+  }
+
+  const lines = rows.map(row => COLUMNS.map(column => row[column] ?? '').join(','));
+  await writeFile(OUTPUT_FILE, [COLUMNS.join(','), ...lines].join('\n') + '\n');
+
+  console.log(`Wrote ${rows.length} route records to ${OUTPUT_FILE.pathname}`);
+};
+
+main().catch(error => {
+  console.error('Error fetching bus routes:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Response Cache
+ * Small in-memory TTL cache so repeated requests for the same stop
+ * within a few seconds share one DataMall call
+ */
+
+/**
+ * Create a cache whose entries expire after ttlMs
+ * @param {number} ttlMs - Time to live in milliseconds
+ */
+export const createCache = (ttlMs) => {
+  const entries = new Map();
+  const pending = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (Date.now() - entry.storedAt > ttlMs) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  /**
+   * Return the cached value for key, or load it once even if several
+   * requests ask for it at the same time
+   */
+  const getOrLoad = (key, loader) => {
+    const cached = get(key);
+    if (cached !== undefined) return Promise.resolve({ value: cached, hit: true });
+
+    if (!pending.has(key)) {
+      const request = loader()
+        .then(value => {
+          entries.set(key, { value, storedAt: Date.now() });
+          return value;
+        })
+        .finally(() => pending.delete(key));
+      pending.set(key, request);
+    }
+    return pending.get(key).then(value => ({ value, hit: false }));
+  };
+
+  // Drop expired entries so the map does not grow with every stop ever requested
+  const prune = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (now - entry.storedAt > ttlMs) entries.delete(key);
+    });
+  };
+
+  return { get, getOrLoad, prune };
+};
@@ -0,0 +1,89 @@
+/**
+ * Local LTA DataMall stub
+ * Serves BusArrival responses with generated arrivals so the proxy and the
+ * app can be run offline
+ * Usage: npm run server:stub, then start the proxy with
+ *   LTA_BASE_URL=http://localhost:3002 LTA_API_KEY=stub npm run server
+ */
+import { createServer } from 'node:http';
+
+const port = parseInt(process.env.STUB_PORT, 10) || 3002;
+
+const SERVICES = [
+  { ServiceNo: '190', Operator: 'SBST', OriginCode: '44009', DestinationCode: '03211' },
+  { ServiceNo: '972', Operator: 'SMRT', OriginCode: '44009', DestinationCode: '44009' },
+  { ServiceNo: '307', Operator: 'SMRT', OriginCode: '44009', DestinationCode: '44531' },
+  { ServiceNo: '61', Operator: 'GAS', OriginCode: '01012', DestinationCode: '44009' }
+];
+const LOADS = ['SEA', 'SDA', 'LSD'];
+const TYPES = ['SD', 'DD', 'BD'];
+
+/**
+ * Simple seeded generator so a stop returns a stable set of services
+ */
+const seededRandom = (seed) => {
+  let state = seed % 2147483647 || 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+const buildNextBus = (service, minutesAway, random) => ({
+  OriginCode: service.OriginCode,
+  DestinationCode: service.DestinationCode,
+  EstimatedArrival: new Date(Date.now() + minutesAway * 60000).toISOString(),
+  Monitored: random() > 0.2 ? 1 : 0,
+  Latitude: String(1.35 + (random() - 0.5) * 0.02),
+  Longitude: String(103.8 + (random() - 0.5) * 0.02),
+  VisitNumber: '1',
+  Load: LOADS[Math.floor(random() * LOADS.length)],
+  Feature: random() > 0.1 ? 'WAB' : '',
+  Type: TYPES[Math.floor(random() * TYPES.length)]
+});
+
+const buildArrivals = (busStopCode) => {
+  const random = seededRandom(parseInt(busStopCode, 10) + Math.floor(Date.now() / 60000));
+  const count = 1 + (parseInt(busStopCode, 10) % SERVICES.length);
+
+  return {
+    'odata.metadata': 'https://datamall2.mytransport.sg/ltaodataservice/v3/BusArrival',
+    BusStopCode: busStopCode,
+    Services: SERVICES.slice(0, count).map(service => {
+      const first = random() * 10;
+      const second = first + 4 + random() * 8;
+      const third = second + 4 + random() * 8;
+      return {
+        ServiceNo: service.ServiceNo,
+        Operator: service.Operator,
+        NextBus: buildNextBus(service, first, random),
+        NextBus2: buildNextBus(service, second, random),
+        NextBus3: buildNextBus(service, third, random)
+      };
+    })
+  };
+};
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (!req.headers.accountkey) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ fault: 'Missing AccountKey' }));
+    return;
+  }
+
+  if (url.pathname.endsWith('/BusArrival')) {
+    const busStopCode = url.searchParams.get('BusStopCode') || '';
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(buildArrivals(busStopCode)));
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ fault: `Unknown dataset: ${url.pathname}` }));
+});
+
+server.listen(port, () => {
+  console.log(`DataMall stub listening on http://localhost:${port}`);
+});
@@ -0,0 +1,25 @@
+/**
+ * Start the API proxy server
+ * Usage: LTA_API_KEY=xxx npm run server
+ */
+import { createProxyServer } from './proxyServer.js';
+
+const port = parseInt(process.env.PORT, 10) || 3001;
+
+const server = createProxyServer({
+  apiKey: process.env.LTA_API_KEY,
+  ltaBaseUrl: process.env.LTA_BASE_URL || 'https://datamall2.mytransport.sg/ltaodataservice/v3',
+  cacheTtlMs: parseInt(process.env.CACHE_TTL_MS, 10) || 15000,
+  rateLimit: parseInt(process.env.RATE_LIMIT, 10) || 60,
+  rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000,
+  allowedOrigin: process.env.ALLOWED_ORIGIN || '*',
+  trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0
+});
+
+if (!process.env.LTA_API_KEY) {
+  console.warn('LTA_API_KEY is not set; arrival requests will fail');
+}
+
+server.listen(port, () => {
+  console.log(`Hop-On SG API proxy listening on http://localhost:${port}`);
+});
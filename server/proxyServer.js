@@ -0,0 +1,193 @@
+/**
+ * LTA DataMall Proxy Server
+ * Forwards arrival requests to DataMall with the AccountKey added on the
+ * server, so the key never reaches the browser
+ */
+import { createServer } from 'node:http';
+import { createCache } from './cache.js';
+import { createRateLimiter } from './rateLimiter.js';
+
+const BUS_STOP_CODE_PATTERN = /^\d{5}$/;
+const UPSTREAM_TIMEOUT_MS = 10000;
+
+// Upstream statuses the client can act on; anything else is reported as a bad gateway
+const PASSTHROUGH_STATUSES = [401, 403, 429];
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status to respond with
+   * @param {string} message - Sent to the client as `error`
+   * @param {string} [code] - Machine-readable reason the client can branch on
+   * @param {Object} [headers] - Extra response headers, e.g. Retry-After
+   */
+  constructor(status, message, code, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Create the proxy HTTP server
+ * @param {Object} config
+ * @param {string} config.apiKey - LTA DataMall AccountKey
+ * @param {string} config.ltaBaseUrl - DataMall base URL (or a local stub)
+ * @param {number} config.cacheTtlMs - How long arrival responses are reused
+ * @param {number} config.rateLimit - Requests allowed per client per window
+ * @param {number} config.rateLimitWindowMs - Rate limit window length
+ * @param {string} config.allowedOrigin - Value for Access-Control-Allow-Origin
+ * @param {number} [config.trustProxy] - Reverse proxies in front of this server
+ *   whose X-Forwarded-For entries are trusted; 0 uses the socket address
+ */
+export const createProxyServer = (config) => {
+  const cache = createCache(config.cacheTtlMs);
+  const limiter = createRateLimiter({
+    limit: config.rateLimit,
+    windowMs: config.rateLimitWindowMs
+  });
+
+  /**
+   * Address the rate limit counts a request against
+   * Each trusted proxy appends the address it received the request from, so
+   * the client is that many entries from the end of the chain; anything
+   * further left could have been sent by the client itself
+   */
+  const clientAddress = (req) => {
+    const hops = config.trustProxy || 0;
+    if (hops === 0) return req.socket.remoteAddress;
+
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean);
+    const chain = [...forwarded, req.socket.remoteAddress];
+    return chain[Math.max(0, chain.length - 1 - hops)];
+  };
+
+  const fetchFromDataMall = async (path) => {
+    if (!config.apiKey) {
+      throw new HttpError(500, 'LTA API key not configured on the server', 'missing_key');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${config.ltaBaseUrl}${path}`, {
+        headers: {
+          'AccountKey': config.apiKey,
+          'accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new HttpError(502, `LTA DataMall unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const status = PASSTHROUGH_STATUSES.includes(response.status) ? response.status : 502;
+      // Pass DataMall's wait on, so the client backs off for as long as asked
+      const retryAfter = status === 429 ? response.headers.get('Retry-After') : null;
+      throw new HttpError(
+        status,
+        `LTA API Error: ${response.status} ${response.statusText}`,
+        undefined,
+        retryAfter ? { 'Retry-After': retryAfter } : {}
+      );
+    }
+
+    try {
+      return await response.json();
+    } catch {
+      throw new HttpError(502, 'LTA DataMall returned invalid JSON');
+    }
+  };
+
+  const handleArrivals = async (res, busStopCode, searchParams) => {
+    if (!BUS_STOP_CODE_PATTERN.test(busStopCode)) {
+      throw new HttpError(400, `Invalid bus stop code: ${busStopCode}`);
+    }
+
+    const params = new URLSearchParams({ BusStopCode: busStopCode });
+    const serviceNo = searchParams.get('service');
+    if (serviceNo) params.set('ServiceNo', serviceNo);
+
+    const path = `/BusArrival?${params}`;
+    const { value, hit } = await cache.getOrLoad(path, () => fetchFromDataMall(path));
+
+    sendJson(res, 200, value, {
+      'Cache-Control': `public, max-age=${Math.floor(config.cacheTtlMs / 1000)}`,
+      'X-Cache': hit ? 'HIT' : 'MISS'
+    });
+  };
+
+  const routeRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+
+    if (url.pathname === '/api/health') {
+      sendJson(res, 200, { status: 'ok', keyConfigured: Boolean(config.apiKey) });
+      return;
+    }
+
+    const { allowed, retryAfterSeconds } = limiter.check(clientAddress(req));
+    if (!allowed) {
+      sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(retryAfterSeconds) });
+      return;
+    }
+
+    const arrivalsMatch = url.pathname.match(/^\/api\/arrivals\/([^/]+)\/?$/);
+    if (arrivalsMatch) {
+      let busStopCode;
+      try {
+        busStopCode = decodeURIComponent(arrivalsMatch[1]);
+      } catch {
+        throw new HttpError(400, `Invalid bus stop code: ${arrivalsMatch[1]}`);
+      }
+      await handleArrivals(res, busStopCode, url.searchParams);
+      return;
+    }
+
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  };
+
+  const server = createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+    // Cross-origin clients can only read Retry-After when it is exposed
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'accept'
+      });
+      res.end();
+      return;
+    }
+
+    routeRequest(req, res).catch(error => {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status >= 500) console.error('Proxy error:', error.message);
+      sendJson(res, status, { error: error.message, code: error.code }, error.headers);
+    });
+  });
+
+  const pruneTimer = setInterval(() => {
+    cache.prune();
+    limiter.prune();
+  }, 60000);
+  pruneTimer.unref();
+  server.on('close', () => clearInterval(pruneTimer));
+
+  return server;
+};
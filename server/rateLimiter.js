@@ -0,0 +1,42 @@
+/**
+ * Rate Limiter
+ * Fixed-window request counter per client address
+ */
+
+/**
+ * Create a limiter allowing `limit` requests per client every `windowMs`
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ */
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const clients = new Map();
+
+  /**
+   * Count a request from a client
+   * @returns {{allowed: boolean, retryAfterSeconds: number}}
+   */
+  const check = (clientId) => {
+    const now = Date.now();
+    let client = clients.get(clientId);
+
+    if (!client || now - client.windowStart >= windowMs) {
+      client = { windowStart: now, count: 0 };
+      clients.set(clientId, client);
+    }
+
+    client.count += 1;
+    const retryAfterSeconds = Math.ceil((client.windowStart + windowMs - now) / 1000);
+
+    return { allowed: client.count <= limit, retryAfterSeconds };
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    clients.forEach((client, clientId) => {
+      if (now - client.windowStart >= windowMs) clients.delete(clientId);
+    });
+  };
+
+  return { check, prune };
+};
@@ -1,11 +1,21 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import LandingPage from './components/Landingpage';
 import DashboardPage from './components/DashboardPage';
+import BoardPage from './components/BoardPage';
+import StatsPage from './components/StatsPage';
+import JourneyPage from './components/JourneyPage';
+import SettingsPage from './components/SettingsPage';
+import { startAlertMonitor } from './services/alertsService';
+import { isFeatureEnabled } from './services/runtimeConfig';
 
 import './App.css'
 
 function App() {
+  // Arrival alerts keep polling whichever page is open
+  useEffect(() => {
+    if (isFeatureEnabled('alerts')) return startAlertMonitor();
+  }, []);
 
   return (
       <Routes>
@@ -14,6 +24,18 @@ function App() {
         
         {/* Dashboard page - shows bus arrivals for specific stop */}
         <Route path="/dashboards/:busStopCode/:description" element={<DashboardPage />} />
+
+        {/* Commute board - arrivals for several stops, e.g. /board?stops=44411,44419 */}
+        {isFeatureEnabled('board') && <Route path="/board" element={<BoardPage />} />}
+
+        {/* Reliability stats recorded for a stop */}
+        {isFeatureEnabled('stats') && <Route path="/stats/:busStopCode" element={<StatsPage />} />}
+
+        {/* Journey finder between two stops, e.g. /journey?from=01012&to=04167 */}
+        {isFeatureEnabled('journey') && <Route path="/journey" element={<JourneyPage />} />}
+
+        {/* Preferences stored on this device */}
+        <Route path="/settings" element={<SettingsPage />} />
       </Routes>
   );
 }
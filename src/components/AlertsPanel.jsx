@@ -0,0 +1,41 @@
+import React from 'react';
+import { BellRing, X } from 'lucide-react';
+import { removeAlert } from '../services/alertsService';
+import { useAlerts } from '../hooks/useAlerts';
+import { isFeatureEnabled } from '../services/runtimeConfig';
+
+/**
+ * List of armed arrival alerts with a cancel button for each
+ */
+export default function AlertsPanel() {
+  const alerts = useAlerts();
+
+  if (!isFeatureEnabled('alerts') || alerts.length === 0) return null;
+
+  return (
+    <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+      <h3 className="text-lg font-bold text-gray-900 mb-3 flex items-center gap-2">
+        <BellRing className="w-5 h-5 text-amber-500" />
+        Arrival Alerts
+      </h3>
+      <div className="space-y-2">
+        {alerts.map(alert => (
+          <div key={alert.id} className="flex items-center justify-between gap-3 bg-amber-50 px-4 py-2 rounded-xl">
+            <div className="text-sm text-gray-800">
+              <span className="font-bold">{alert.serviceNo}</span>
+              {' '}within {alert.thresholdMinutes} min at {alert.busStopName}
+              <span className="text-gray-500"> ({alert.busStopCode})</span>
+            </div>
+            <button
+              onClick={() => removeAlert(alert.id)}
+              className="p-1 rounded-full text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+              aria-label={`Cancel alert for ${alert.serviceNo}`}
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
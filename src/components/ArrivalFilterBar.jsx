@@ -0,0 +1,122 @@
+import React from 'react';
+import { SlidersHorizontal, ArrowUpDown } from 'lucide-react';
+import { OPERATORS, hasActiveFilters } from '../services/arrivalFilters';
+
+const SORT_LABELS = {
+  service: 'Service no.',
+  arrival: 'Next arrival'
+};
+
+const TOGGLES = [
+  { key: 'wheelchairOnly', label: '♿ Accessible only' },
+  { key: 'seatsOnly', label: 'Seats available' },
+  { key: 'monitoredOnly', label: 'Hide unmonitored' }
+];
+
+const toggleItem = (list, item) => (
+  list.includes(item) ? list.filter(i => i !== item) : [...list, item]
+);
+
+const chipClass = (active) => `px-3 py-1 rounded-lg text-xs font-bold transition-colors ${
+  active
+    ? 'bg-green-600 text-white'
+    : 'bg-gray-100 text-gray-400 line-through hover:bg-gray-200'
+}`;
+
+const optionClass = (active) => `px-3 py-1 rounded-lg text-xs font-bold transition-colors ${
+  active
+    ? 'bg-green-600 text-white'
+    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+}`;
+
+/**
+ * Service, operator and accessibility filters plus sort order for the arrivals dashboard
+ * @param {Object} props
+ * @param {Array<string>} props.serviceNumbers - Every service at the stop, filtered or not
+ * @param {Array<string>} props.operators - Operators running those services
+ * @param {Object} props.filters - Result of parseArrivalFilters()
+ * @param {Function} props.onChange - Called with the updated filters
+ */
+export default function ArrivalFilterBar({ serviceNumbers, operators, filters, onChange }) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+          <SlidersHorizontal className="w-5 h-5 text-green-600" />
+          Filters
+        </h3>
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => update({
+              hiddenServices: [],
+              hiddenOperators: [],
+              wheelchairOnly: false,
+              seatsOnly: false,
+              monitoredOnly: false
+            })}
+            className="text-sm font-semibold text-green-700 hover:text-green-800"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {serviceNumbers.map(number => (
+          <button
+            key={number}
+            onClick={() => update({ hiddenServices: toggleItem(filters.hiddenServices, number) })}
+            className={chipClass(!filters.hiddenServices.includes(number))}
+            aria-pressed={!filters.hiddenServices.includes(number)}
+          >
+            {number}
+          </button>
+        ))}
+      </div>
+
+      {operators.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {OPERATORS.filter(op => operators.includes(op)).map(op => (
+            <button
+              key={op}
+              onClick={() => update({ hiddenOperators: toggleItem(filters.hiddenOperators, op) })}
+              className={chipClass(!filters.hiddenOperators.includes(op))}
+              aria-pressed={!filters.hiddenOperators.includes(op)}
+            >
+              {op}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {TOGGLES.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => update({ [key]: !filters[key] })}
+            className={optionClass(filters[key])}
+            aria-pressed={filters[key]}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <ArrowUpDown className="w-4 h-4 text-gray-500" />
+        <span className="text-sm font-semibold text-gray-700">Sort by:</span>
+        {Object.entries(SORT_LABELS).map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => update({ sort: value })}
+            className={optionClass(filters.sort === value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Clock, LayoutGrid, MapPin, Plus, Share2, X, AlertCircle, Loader, ChevronRight } from 'lucide-react';
+import { getArrivalCountdown, formatCountdown } from '../services/ltaApiService';
+import { useBusArrivals } from '../hooks/useBusArrivals';
+import { usePreferences } from '../hooks/usePreferences';
+import { formatClockTime, describeNextRefresh } from '../utils/time';
+import { loadBusStops, getStopByCode } from '../services/busStopsService';
+import { getDashboardPath } from '../utils/paths';
+
+const BUS_STOP_CODE_PATTERN = /^\d{5}$/;
+const MAX_STOPS = 6;
+
+/**
+ * Read ?stops=44411,44419 into a list of valid, unique stop codes
+ */
+const parseStops = (value) => {
+  const codes = (value || '')
+    .split(',')
+    .map(code => code.trim())
+    .filter(code => BUS_STOP_CODE_PATTERN.test(code));
+  return [...new Set(codes)].slice(0, MAX_STOPS);
+};
+
+/**
+ * Read ?services=44411:190.972;44419:307 into { stopCode: [serviceNo] }
+ */
+const parseServiceFilters = (value) => {
+  const filters = {};
+  (value || '').split(';').forEach(entry => {
+    const [stopCode, services] = entry.split(':');
+    if (!BUS_STOP_CODE_PATTERN.test(stopCode) || !services) return;
+    filters[stopCode] = services.split('.').filter(Boolean);
+  });
+  return filters;
+};
+
+const serializeServiceFilters = (filters) => {
+  return Object.entries(filters)
+    .filter(([, services]) => services.length > 0)
+    .map(([stopCode, services]) => `${stopCode}:${services.join('.')}`)
+    .join(';');
+};
+
+/**
+ * One stop on the board, watching the shared arrivals for that stop
+ * @param {Object} props
+ * @param {string} props.code - Bus stop code
+ * @param {Object|null} props.stop - Stop details, once loaded
+ * @param {Array<string>} props.filter - Services to show; empty shows all
+ * @param {Date} props.currentTime - Clock tick for the countdowns
+ */
+const BoardStop = ({ code, stop, filter, currentTime, onOpen, onRemove, onToggleService }) => {
+  const arrivals = useBusArrivals(code);
+  // Keep showing the last arrivals we had if a refresh fails
+  const buses = arrivals.data?.buses || null;
+  const error = arrivals.error?.message || null;
+  const visibleBuses = (buses || []).filter(bus =>
+    filter.length === 0 || filter.includes(bus.number)
+  );
+
+  return (
+    <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 border border-white/20">
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <button
+          onClick={onOpen}
+          className="text-left flex-1 group"
+        >
+          <div className="text-xs text-green-800 font-medium flex items-center gap-1">
+            <MapPin className="w-3 h-3" />
+            Bus Stop {code}{stop?.road ? ` • ${stop.road}` : ''}
+          </div>
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-1 group-hover:text-green-700">
+            {stop?.name || `Stop ${code}`}
+            <ChevronRight className="w-4 h-4" />
+          </h2>
+        </button>
+        <button
+          onClick={onRemove}
+          className="p-2 rounded-full text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+          aria-label={`Remove stop ${code}`}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {buses && buses.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {buses.map(bus => (
+            <button
+              key={bus.number}
+              onClick={() => onToggleService(bus.number)}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors ${
+                filter.includes(bus.number)
+                  ? 'bg-green-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {bus.number}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!buses && !error && (
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <Loader className="w-4 h-4 animate-spin text-green-600" />
+          Loading arrivals...
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600 mb-3">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {buses && visibleBuses.length === 0 && !error && (
+        <p className="text-sm text-gray-600">No buses currently serving this stop.</p>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {visibleBuses.map(bus => (
+          <div key={bus.number} className="flex items-center gap-3 py-2">
+            <div className="bg-gradient-to-br from-green-600 to-green-600 text-white w-14 h-10 rounded-xl flex items-center justify-center shadow-md">
+              <span className="font-bold">{bus.number}</span>
+            </div>
+            <div className="flex-1 min-w-0 text-sm font-semibold text-gray-800 truncate">
+              {bus.destination}
+            </div>
+            <div className="flex gap-2">
+              {bus.arrivals.map((arrival, idx) => {
+                const countdown = formatCountdown(arrival && getArrivalCountdown(arrival.estimatedArrival, currentTime));
+                return (
+                  <div
+                    key={idx}
+                    className={`w-12 text-center py-1 rounded-lg text-sm font-bold ${
+                      idx === 0 ? 'bg-green-500 text-white' : 'bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {countdown.value}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {buses && (
+        <p className="mt-3 text-xs text-gray-500">{describeNextRefresh(arrivals, currentTime)}</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Commute board showing arrivals for several stops at once
+ * Stops and per-stop service filters live in the URL so a board can be shared
+ */
+export default function BoardPage() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [currentTime, setCurrentTime] = useState(new Date());
+  const [stopIndex, setStopIndex] = useState(null);
+  const [newStopCode, setNewStopCode] = useState('');
+  const [shareMessage, setShareMessage] = useState(null);
+  const preferences = usePreferences();
+
+  const stopCodes = parseStops(searchParams.get('stops'));
+  const serviceFilters = parseServiceFilters(searchParams.get('services'));
+
+  // Clock update
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setCurrentTime(new Date());
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Stop names
+  useEffect(() => {
+    loadBusStops()
+      .then(setStopIndex)
+      .catch(err => console.error('Error loading bus stop details:', err));
+  }, []);
+
+  const updateParams = (codes, filters) => {
+    const params = new URLSearchParams();
+    if (codes.length > 0) params.set('stops', codes.join(','));
+    const services = serializeServiceFilters(filters);
+    if (services) params.set('services', services);
+    setSearchParams(params, { replace: true });
+  };
+
+  const handleAddStop = (e) => {
+    e.preventDefault();
+    const code = newStopCode.trim();
+    if (!BUS_STOP_CODE_PATTERN.test(code) || stopCodes.includes(code)) return;
+    updateParams([...stopCodes, code].slice(0, MAX_STOPS), serviceFilters);
+    setNewStopCode('');
+  };
+
+  const handleRemoveStop = (code) => {
+    const filters = { ...serviceFilters };
+    delete filters[code];
+    updateParams(stopCodes.filter(c => c !== code), filters);
+  };
+
+  const handleToggleService = (stopCode, serviceNo) => {
+    const current = serviceFilters[stopCode] || [];
+    const updated = current.includes(serviceNo)
+      ? current.filter(no => no !== serviceNo)
+      : [...current, serviceNo];
+    updateParams(stopCodes, { ...serviceFilters, [stopCode]: updated });
+  };
+
+  const handleShare = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setShareMessage('Link copied');
+    } catch {
+      setShareMessage('Copy the address bar to share this board');
+    }
+    setTimeout(() => setShareMessage(null), 3000);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
+      <div className="min-h-screen p-4 pb-8">
+        <div className="max-w-2xl mx-auto">
+
+          {/* Header */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
+            <button
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-green-800 hover:text-green-800 mb-4 font-semibold transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              Back to Bus Stops
+            </button>
+
+            <div className="flex items-start justify-between mb-4">
+              <div className="flex-1">
+                <div className="flex items-center gap-2 text-sm mb-2 font-medium text-green-800">
+                  <LayoutGrid className="w-4 h-4" />
+                  <span>{stopCodes.length} {stopCodes.length === 1 ? 'stop' : 'stops'}</span>
+                </div>
+                <h1 className="text-4xl font-bold bg-gradient-to-br from-green-500 to-green-400 bg-clip-text text-transparent">
+                  Commute Board
+                </h1>
+              </div>
+              <button
+                onClick={handleShare}
+                className="p-3 rounded-2xl bg-gradient-to-br from-green-500 to-green-500 hover:from-green-600 hover:to-green-600 transition-all duration-300 shadow-lg hover:shadow-xl transform hover:scale-105"
+                aria-label="Share board"
+              >
+                <Share2 className="w-5 h-5 text-white" />
+              </button>
+            </div>
+
+            {shareMessage && (
+              <p className="text-sm text-green-800 mb-3">{shareMessage}</p>
+            )}
+
+            <div className="flex items-center justify-between gap-4 flex-wrap">
+              <div className="flex items-center gap-2 bg-gradient-to-r from-green-50 to-green-50 px-4 py-2 rounded-xl">
+                <Clock className="w-4 h-4 text-green-500" />
+                <span className="text-sm font-semibold text-green-800">
+                  {formatClockTime(currentTime, preferences.clock, { seconds: true })}
+                </span>
+              </div>
+
+              {stopCodes.length < MAX_STOPS && (
+                <form onSubmit={handleAddStop} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    maxLength={5}
+                    placeholder="Stop code"
+                    value={newStopCode}
+                    onChange={(e) => setNewStopCode(e.target.value)}
+                    className="w-28 px-3 py-2 bg-gray-50 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-green-500 text-sm text-gray-900"
+                  />
+                  <button
+                    type="submit"
+                    className="p-2 rounded-xl bg-green-50 hover:bg-green-100 text-green-800 transition-colors"
+                    aria-label="Add stop"
+                  >
+                    <Plus className="w-5 h-5" />
+                  </button>
+                </form>
+              )}
+            </div>
+          </div>
+
+          {stopCodes.length === 0 && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
+              <div className="bg-gray-100 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4">
+                <MapPin className="w-10 h-10 text-gray-400" />
+              </div>
+              <p className="text-2xl font-semibold text-gray-900 mb-2">No stops on this board</p>
+              <p className="text-gray-600">Add a bus stop code above to start your board.</p>
+            </div>
+          )}
+
+          {/* Stops */}
+          <div className="space-y-4">
+            {stopCodes.map(code => {
+              const stop = getStopByCode(stopIndex, code);
+              return (
+                <BoardStop
+                  key={code}
+                  code={code}
+                  stop={stop}
+                  filter={serviceFilters[code] || []}
+                  currentTime={currentTime}
+                  onOpen={() => navigate(getDashboardPath(code, stop?.name))}
+                  onRemove={() => handleRemoveStop(code)}
+                  onToggleService={(serviceNo) => handleToggleService(code, serviceNo)}
+                />
+              );
+            })}
+          </div>
+
+          {/* Footer */}
+          <div className="mt-8 text-center bg-white/20 backdrop-blur-xl rounded-2xl p-4 border border-white/30">
+            <p className="text-sm text-black font-semibold mb-2">
+              Real-time data from LTA DataMall
+            </p>
+            <p className="text-xs text-black/80">
+              ✨ Updates automatically; each stop shows when it refreshes next
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React from 'react';
+import { MapPin, Satellite } from 'lucide-react';
+import { formatDistance } from '../utils/geo';
+import { usePreferences } from '../hooks/usePreferences';
+
+const MAP_SIZE = 240;
+const MIN_RADIUS_M = 500;
+const METRES_PER_DEGREE_LAT = 110570;
+const METRES_PER_DEGREE_LNG = 111320;
+
+/**
+ * Project a coordinate to metres east/north of the stop
+ * Equirectangular is accurate enough over the few km buses are tracked
+ */
+const toLocalMeters = (stop, position) => ({
+  x: (position.longitude - stop.longitude) * METRES_PER_DEGREE_LNG * Math.cos(stop.latitude * Math.PI / 180),
+  y: (position.latitude - stop.latitude) * METRES_PER_DEGREE_LAT
+});
+
+/**
+ * Map-style panel plotting the stop and the approaching buses around it
+ */
+export default function BusPositionsMap({ busStop, buses }) {
+  const { units } = usePreferences();
+  const approaching = buses.flatMap(bus =>
+    bus.arrivals
+      .map((arrival, idx) => ({ number: bus.number, idx, arrival }))
+      .filter(({ arrival }) => arrival !== null)
+  );
+  const tracked = approaching.filter(({ arrival }) => !arrival.scheduleBased);
+  const scheduleBased = approaching.length - tracked.length;
+
+  if (!busStop) return null;
+
+  const points = tracked.map(item => ({ ...item, ...toLocalMeters(busStop, item.arrival.position) }));
+  const radius = Math.max(
+    MIN_RADIUS_M,
+    ...points.map(point => Math.hypot(point.x, point.y))
+  ) * 1.15;
+  const scale = (MAP_SIZE / 2) / radius;
+  const center = MAP_SIZE / 2;
+
+  return (
+    <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+      <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <Satellite className="w-5 h-5 text-green-600" />
+        Approaching Buses
+      </h3>
+
+      <svg
+        viewBox={`0 0 ${MAP_SIZE} ${MAP_SIZE}`}
+        className="w-full max-w-xs mx-auto block bg-gradient-to-br from-green-50 to-gray-50 rounded-2xl"
+        role="img"
+        aria-label="Positions of approaching buses relative to this stop"
+      >
+        {[1, 0.5].map(fraction => (
+          <g key={fraction}>
+            <circle
+              cx={center}
+              cy={center}
+              r={(MAP_SIZE / 2) * fraction * 0.95}
+              fill="none"
+              stroke="#d1d5db"
+              strokeDasharray="4 4"
+            />
+            <text
+              x={center + 4}
+              y={center - (MAP_SIZE / 2) * fraction * 0.95 + 12}
+              fontSize="9"
+              fill="#6b7280"
+            >
+              {formatDistance(radius * fraction * 0.95, units)}
+            </text>
+          </g>
+        ))}
+
+        <circle cx={center} cy={center} r="7" fill="#16a34a" stroke="white" strokeWidth="2" />
+
+        {points.map(point => (
+          <g
+            key={`${point.number}-${point.idx}`}
+            transform={`translate(${center + point.x * scale}, ${center - point.y * scale})`}
+          >
+            <circle r="11" fill={point.idx === 0 ? '#22c55e' : '#9ca3af'} stroke="white" strokeWidth="1.5" />
+            <text textAnchor="middle" dy="3" fontSize="8" fontWeight="bold" fill="white">
+              {point.number}
+            </text>
+          </g>
+        ))}
+      </svg>
+
+      <div className="mt-4 flex items-center justify-center gap-4 text-xs text-gray-600 flex-wrap">
+        <span className="flex items-center gap-1">
+          <MapPin className="w-3 h-3 text-green-600" />
+          This stop
+        </span>
+        <span>{tracked.length} tracked by GPS</span>
+        {scheduleBased > 0 && (
+          <span>{scheduleBased} schedule-based (no GPS)</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * Shown instead of the app when config.json cannot be used
+ * @param {Object} props
+ * @param {Error} props.error - A ConfigError lists each bad setting in problems
+ */
+export default function ConfigErrorPage({ error }) {
+  const problems = error.problems || [error.message];
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
+      <div className="min-h-screen p-4 flex items-center justify-center">
+        <div className="max-w-xl w-full bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 border border-white/20">
+          <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2 mb-2">
+            <AlertCircle className="w-6 h-6 text-red-600" />
+            This deployment is misconfigured
+          </h1>
+          <p className="text-sm text-gray-600 mb-4">
+            Fix these settings in config.json and reload the page.
+          </p>
+          <ul className="space-y-2">
+            {problems.map(problem => (
+              <li key={problem} className="bg-red-50 text-red-800 text-sm font-mono px-4 py-2 rounded-xl break-words">
+                {problem}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
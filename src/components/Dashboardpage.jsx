@@ -1,7 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Clock, MapPin, RefreshCw, Navigation, ArrowLeft, Bus, AlertCircle, Loader, Wifi } from 'lucide-react';
-import { fetchBusArrivals, isApiKeyConfigured } from '../services/ltaApiService';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { Clock, MapPin, RefreshCw, Navigation, ArrowLeft, Bus, AlertCircle, Loader, Wifi, WifiOff, Star, Bell, BarChart3, Footprints } from 'lucide-react';
+import { getArrivalCountdown, formatCountdown } from '../services/ltaApiService';
+import { loadBusStops, getStopByCode } from '../services/busStopsService';
+import { formatDistance, haversineMeters } from '../utils/geo';
+import { getStatsPath } from '../utils/paths';
+import { toggleFavouriteService } from '../services/favouritesService';
+import { useFavourites } from '../hooks/useFavourites';
+import { refreshArrivals } from '../services/arrivalsStore';
+import { useBusArrivals } from '../hooks/useBusArrivals';
+import { addAlert, removeAlert, ALERT_THRESHOLDS } from '../services/alertsService';
+import { useAlerts } from '../hooks/useAlerts';
+import { parseArrivalFilters, serializeArrivalFilters, applyArrivalFilters } from '../services/arrivalFilters';
+import BusPositionsMap from './BusPositionsMap';
+import AlertsPanel from './AlertsPanel';
+import { requestCurrentLocation, isTrackingPaused } from '../services/locationService';
+import { useUserLocation } from '../hooks/useUserLocation';
+import { estimateWalkMs, classifyArrival, getLeaveAdvice, MAX_WALK_DISTANCE_M } from '../services/walkingService';
+import { useWalkingSpeed } from '../hooks/useWalkingSpeed';
+import { usePreferences } from '../hooks/usePreferences';
+import { formatClockTime, describeNextRefresh } from '../utils/time';
+import { isFeatureEnabled } from '../services/runtimeConfig';
+import ArrivalFilterBar from './ArrivalFilterBar';
+import WalkingAdvice from './WalkingAdvice';
 
 // Single Deck Bus Icon
 const SingleDeckBus = ({ className = "w-6 h-6" }) => (
@@ -32,23 +53,185 @@ const DoubleDeckBus = ({ className = "w-6 h-6" }) => (
   </svg>
 );
 
+const getLoadColor = (load) => {
+  switch(load) {
+    case 'low': return 'bg-emerald-500';
+    case 'medium': return 'bg-amber-500';
+    case 'high': return 'bg-red-500';
+    default: return 'bg-gray-500';
+  }
+};
+
+const getLoadText = (load) => {
+  switch(load) {
+    case 'low': return 'Seats Available';
+    case 'medium': return 'Standing Available';
+    case 'high': return 'Limited Standing';
+    default: return 'Unknown';
+  }
+};
+
+// Pick the icon for a bus deck type
+const BusTypeIcon = ({ type, className }) => (
+  type === 'Double Deck'
+    ? <DoubleDeckBus className={className} />
+    : <SingleDeckBus className={className} />
+);
+
+const WALK_STATUS = {
+  catchable: { label: 'Catchable', className: 'bg-emerald-100 text-emerald-800' },
+  tight: { label: 'Tight', className: 'bg-amber-100 text-amber-800' },
+  missed: { label: 'Missed', className: 'bg-gray-200 text-gray-500' }
+};
+
+// One of the three upcoming-bus tiles on a service card
+const ArrivalTile = ({ arrival, isFirst, now, walkMs }) => {
+  const { units } = usePreferences();
+  const countdown = formatCountdown(arrival && getArrivalCountdown(arrival.estimatedArrival, now));
+  const walkStatus = arrival && walkMs !== null ? WALK_STATUS[classifyArrival(arrival.estimatedArrival, walkMs, now)] : null;
+
+  return (
+    <div
+      className={`flex-1 text-center py-4 rounded-2xl transition-all duration-300 ${
+        isFirst
+          ? 'bg-gradient-to-br from-green-500 to-green-500 shadow-lg transform scale-105'
+          : 'bg-gradient-to-br from-gray-50 to-gray-100 hover:from-gray-100 hover:to-gray-200'
+      }`}
+    >
+      <div
+        className={`text-3xl font-bold ${
+          isFirst ? 'text-white' : 'text-gray-800'
+        }`}
+      >
+        {countdown.value}
+      </div>
+      <div className={`text-xs mt-1 font-medium ${
+        isFirst ? 'text-white/90' : 'text-gray-500'
+      }`}>
+        {countdown.label}
+      </div>
+      {arrival && (
+        <div className={`text-xs mt-1 ${isFirst ? 'text-white/90' : 'text-gray-500'}`}>
+          {arrival.scheduleBased ? 'Scheduled' : formatDistance(arrival.distanceM, units)}
+        </div>
+      )}
+      {arrival && (
+        <div
+          className={`flex items-center justify-center gap-1.5 mt-2 ${
+            isFirst ? 'text-white' : 'text-gray-700'
+          }`}
+          title={`${arrival.type} • ${getLoadText(arrival.load)}${arrival.wheelchairAccessible ? ' • Wheelchair accessible' : ''}`}
+        >
+          <BusTypeIcon type={arrival.type} className="w-4 h-4" />
+          {arrival.wheelchairAccessible && <span className="text-xs">♿</span>}
+          <div className="flex gap-0.5 items-end">
+            <div className={`w-1.5 h-2 rounded-full ${arrival.load !== 'unknown' ? getLoadColor(arrival.load) : 'bg-gray-300'}`}></div>
+            <div className={`w-1.5 h-3 rounded-full ${arrival.load === 'medium' || arrival.load === 'high' ? getLoadColor(arrival.load) : 'bg-gray-300'}`}></div>
+            <div className={`w-1.5 h-4 rounded-full ${arrival.load === 'high' ? getLoadColor(arrival.load) : 'bg-gray-300'}`}></div>
+          </div>
+        </div>
+      )}
+      {walkStatus && (
+        <div className={`inline-block mt-2 px-2 py-0.5 rounded-full text-[10px] font-semibold ${walkStatus.className}`}>
+          {walkStatus.label}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// When to set off for the first bus of a service worth walking for
+const LeaveHint = ({ advice }) => (
+  <div className={`flex items-center gap-2 text-sm font-semibold ${
+    !advice ? 'text-gray-500' : advice.status === 'tight' ? 'text-amber-700' : 'text-green-800'
+  }`}>
+    <Footprints className="w-4 h-4" />
+    {!advice
+      ? 'Too late to walk for these buses'
+      : advice.leaveInMinutes === 0 ? 'Leave now' : `Leave in ${advice.leaveInMinutes} min`}
+  </div>
+);
+
 export default function DashboardPage() {
   const { busStopCode, description } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [currentTime, setCurrentTime] = useState(new Date());
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [selectedBus, setSelectedBus] = useState(null);
-  const [buses, setBuses] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [lastUpdated, setLastUpdated] = useState(null);
+  const [busStop, setBusStop] = useState(null);
+  const [alertPickerFor, setAlertPickerFor] = useState(null);
+  const favourites = useFavourites();
+  const alerts = useAlerts();
+  const userLocation = useUserLocation();
+  const walkingSpeed = useWalkingSpeed();
+  const preferences = usePreferences();
+  const arrivals = useBusArrivals(busStopCode);
+
+  const buses = arrivals.data?.buses || [];
+  const { updatedAt: lastUpdated, staleSince } = arrivals;
+  const loading = !arrivals.data && !arrivals.error;
+  const error = arrivals.error
+    ? arrivals.error.message || 'Failed to load bus arrival data. Please try again.'
+    : arrivals.data && buses.length === 0 ? 'No buses currently serving this stop.' : null;
+  // Key problems are not retried; the store waits for the server to be fixed
+  const needsServerFix = arrivals.error?.retryable === false;
+  // Without a connection the cached arrivals are an offline copy rather than a failing server
+  const offline = arrivals.error?.name === 'OfflineError' || navigator.onLine === false;
+
+  const getServiceAlert = (serviceNo) => alerts.find(alert =>
+    alert.busStopCode === busStopCode && alert.serviceNo === serviceNo
+  );
+
+  // Unmonitored arrivals are hidden by default when the user prefers it; the URL can still override
+  const filterDefaults = { monitoredOnly: !preferences.showUnmonitored };
+  const filters = parseArrivalFilters(searchParams, filterDefaults);
+  const handleFiltersChange = (nextFilters) => {
+    setSearchParams(serializeArrivalFilters(nextFilters, filterDefaults), { replace: true });
+  };
 
-  // Format description for display
-  const busStopName = description
+  // Favourite services first, then the chosen sort order
+  const favouriteServices = favourites.services[busStopCode] || [];
+  const sortedBuses = applyArrivalFilters(buses, filters, currentTime).sort((a, b) =>
+    favouriteServices.includes(b.number) - favouriteServices.includes(a.number)
+  );
+
+  // Walking advice only makes sense within walking distance of the stop
+  const walkDistance = userLocation && busStop
+    ? haversineMeters(userLocation.latitude, userLocation.longitude, busStop.latitude, busStop.longitude)
+    : null;
+  const walkMs = walkDistance !== null && walkDistance <= MAX_WALK_DISTANCE_M
+    ? estimateWalkMs(walkDistance, walkingSpeed)
+    : null;
+  const leaveAdvice = walkMs === null ? [] : sortedBuses.map(bus => ({
+    serviceNo: bus.number,
+    advice: getLeaveAdvice(bus.arrivals, walkMs, currentTime)
+  }));
+
+  // Prefer the name from the stop dataset; the URL description is only a slug
+  const busStopName = busStop?.name || description
     .split('-')
     .map(word => word.charAt(0).toUpperCase() + word.slice(1))
     .join(' ');
 
+  // Look up stop details
+  useEffect(() => {
+    let cancelled = false;
+    loadBusStops()
+      .then(stopIndex => {
+        if (!cancelled) setBusStop(getStopByCode(stopIndex, busStopCode));
+      })
+      .catch(err => console.error('Error loading bus stop details:', err));
+    return () => { cancelled = true; };
+  }, [busStopCode]);
+
+  // Refresh the location the stop list found, or get one when opened directly,
+  // unless the user paused tracking there
+  useEffect(() => {
+    if (isTrackingPaused()) return;
+    requestCurrentLocation().catch(err => console.error('Error getting location:', err));
+  }, []);
+
   // Clock update
   useEffect(() => {
     const timer = setInterval(() => {
@@ -57,76 +240,20 @@ export default function DashboardPage() {
     return () => clearInterval(timer);
   }, []);
 
-  // Load bus arrivals
-  const loadBusArrivals = async () => {
-    if (!isApiKeyConfigured()) {
-      setError('LTA API key not configured. Please add REACT_APP_LTA_API_KEY to your .env file.');
-      setLoading(false);
-      return;
-    }
-
-    try {
-      setError(null);
-      const data = await fetchBusArrivals(busStopCode);
-      
-      if (data.buses.length === 0) {
-        setError('No buses currently serving this stop.');
-      } else {
-        setBuses(data.buses);
-        setLastUpdated(new Date());
-      }
-      
-      setLoading(false);
-    } catch (err) {
-      console.error('Error loading bus arrivals:', err);
-      setError(err.message || 'Failed to load bus arrival data. Please try again.');
-      setLoading(false);
-    }
-  };
-
-  // Initial load
-  useEffect(() => {
-    loadBusArrivals();
-  }, [busStopCode]);
-
-  // Auto-refresh every 30 seconds
-  useEffect(() => {
-    const interval = setInterval(() => {
-      if (!loading && !error) {
-        loadBusArrivals();
-      }
-    }, 30000); // 30 seconds
-
-    return () => clearInterval(interval);
-  }, [loading, error, busStopCode]);
-
   // Manual refresh
   const handleRefresh = async () => {
     setIsRefreshing(true);
-    await loadBusArrivals();
+    await refreshArrivals(busStopCode).catch(() => {});
     setTimeout(() => setIsRefreshing(false), 500);
   };
 
-  const handleBackToList = () => {
-    navigate('/');
-  };
-
-  const getLoadColor = (load) => {
-    switch(load) {
-      case 'low': return 'bg-emerald-500';
-      case 'medium': return 'bg-amber-500';
-      case 'high': return 'bg-red-500';
-      default: return 'bg-gray-500';
-    }
+  const handleArmAlert = (serviceNo, thresholdMinutes) => {
+    addAlert({ busStopCode, busStopName, serviceNo, thresholdMinutes });
+    setAlertPickerFor(null);
   };
 
-  const getLoadText = (load) => {
-    switch(load) {
-      case 'low': return 'Seats Available';
-      case 'medium': return 'Standing Available';
-      case 'high': return 'Limited Standing';
-      default: return 'Unknown';
-    }
+  const handleBackToList = () => {
+    navigate('/');
   };
 
   // Loading state
@@ -156,7 +283,9 @@ export default function DashboardPage() {
             <div className="w-20 h-20 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
               <AlertCircle className="w-10 h-10 text-red-600" />
             </div>
-            <p className="text-2xl font-semibold text-gray-900 mb-2">Unable to Load Data</p>
+            <p className="text-2xl font-semibold text-gray-900 mb-2">
+              {needsServerFix ? 'Arrivals Server Needs Fixing' : 'Unable to Load Data'}
+            </p>
             <p className="text-gray-600 mb-4 text-sm">{error}</p>
             <div className="space-y-3">
               <button
@@ -180,6 +309,11 @@ export default function DashboardPage() {
 
   // Bus Route View
   if (selectedBus) {
+    const nextBus = selectedBus.arrivals.find(arrival =>
+      arrival !== null && getArrivalCountdown(arrival.estimatedArrival, currentTime).status !== 'departed'
+    );
+    const nextCountdown = nextBus && getArrivalCountdown(nextBus.estimatedArrival, currentTime);
+
     return (
       <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
         <div className="min-h-screen p-4 pb-8">
@@ -207,25 +341,27 @@ export default function DashboardPage() {
                   <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-green-600 bg-clip-text text-transparent">
                     {selectedBus.destination}
                   </h2>
-                  <div className="text-xs text-gray-600 flex items-center gap-1.5 bg-gray-100 px-3 py-1.5 rounded-full w-fit mt-2">
-                    {selectedBus.type === 'Double Deck' ? (
-                      <DoubleDeckBus className="w-4 h-4 text-gray-700" />
-                    ) : (
-                      <SingleDeckBus className="w-4 h-4 text-gray-700" />
-                    )}
-                    <span className="font-medium">{selectedBus.type}</span>
-                    {selectedBus.feature === 'WAB' && (
-                      <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-700 text-xs rounded">♿ Accessible</span>
-                    )}
-                  </div>
+                  <div className="text-xs text-gray-500 mt-1">From {selectedBus.origin}</div>
+                  {nextBus && (
+                    <div className="text-xs text-gray-600 flex items-center gap-1.5 bg-gray-100 px-3 py-1.5 rounded-full w-fit mt-2">
+                      <BusTypeIcon type={nextBus.type} className="w-4 h-4 text-gray-700" />
+                      <span className="font-medium">{nextBus.type}</span>
+                      {nextBus.wheelchairAccessible && (
+                        <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-700 text-xs rounded">♿ Accessible</span>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
 
               <div className="bg-gradient-to-br from-green-50 to-green-50 text-black p-4 rounded-2xl">
                 <div className="text-sm opacity-90 mb-1">Next bus arrives in</div>
                 <div className="text-4xl font-bold">
-                  {selectedBus.arrivals[0] === 0 ? 'Arriving' : selectedBus.arrivals[0] === null ? 'N/A' : `${selectedBus.arrivals[0]} min`}
+                  {!nextCountdown ? 'N/A' : nextCountdown.status === 'arriving' ? 'Arriving' : `${nextCountdown.minutes} min`}
                 </div>
+                {nextBus && (
+                  <div className="text-sm text-gray-600 mt-1">{getLoadText(nextBus.load)}</div>
+                )}
               </div>
             </div>
 
@@ -236,9 +372,17 @@ export default function DashboardPage() {
                 Bus Stops Along Route
               </h3>
               
+              {selectedBus.route.length === 0 && (
+                <p className="text-sm text-gray-600">
+                  {arrivals.data?.routesAvailable
+                    ? `Route data for service ${selectedBus.number} is not available at this stop.`
+                    : 'Bus route data is not available, so the stops along the route cannot be shown.'}
+                </p>
+              )}
+
               <div className="space-y-1">
                 {selectedBus.route.map((stop, index) => (
-                  <div key={index} className="relative">
+                  <div key={`${stop.code}-${index}`} className="relative">
                     {index < selectedBus.route.length - 1 && (
                       <div className={`absolute left-6 top-12 w-0.5 h-full ${
                         stop.status === 'current' ? 'bg-gradient-to-b from-green-50 to-gray-300' : 'bg-gray-300'
@@ -284,9 +428,9 @@ export default function DashboardPage() {
                             }`}>
                               {stop.distance}
                             </div>
-                            {stop.time > 0 && (
+                            {stop.status !== 'current' && (
                               <div className="text-xs text-gray-500 mt-1">
-                                ~{stop.time} min
+                                {index} {index === 1 ? 'stop' : 'stops'} away
                               </div>
                             )}
                           </div>
@@ -323,7 +467,7 @@ export default function DashboardPage() {
               <div className="flex-1">
                 <div className="flex items-center gap-2 text-black text-sm mb-2 font-medium text-green-800">
                   <MapPin className="w-4 h-4" />
-                  <span>Bus Stop {busStopCode}</span>
+                  <span>Bus Stop {busStopCode}{busStop?.road ? ` • ${busStop.road}` : ''}</span>
                 </div>
                 <h1 className="text-4xl font-bold bg-gradient-to-br from-green-500 to-green-400 bg-clip-text text-transparent">
                   {busStopName}
@@ -343,15 +487,11 @@ export default function DashboardPage() {
               <div className="flex items-center gap-2 bg-gradient-to-r from-green-50 to-green-50 px-4 py-2 rounded-xl">
                 <Clock className="w-4 h-4 text-green-500" />
                 <span className="text-sm font-semibold text-green-800">
-                  {currentTime.toLocaleTimeString('en-SG', { 
-                    hour: '2-digit', 
-                    minute: '2-digit',
-                    second: '2-digit'
-                  })}
+                  {formatClockTime(currentTime, preferences.clock, { seconds: true })}
                 </span>
               </div>
 
-              {lastUpdated && (
+              {lastUpdated && !staleSince && (
                 <div className="flex items-center gap-2 bg-emerald-50 px-3 py-1.5 rounded-lg">
                   <Wifi className="w-3 h-3 text-emerald-600" />
                   <span className="text-xs text-green-800 font-medium">
@@ -360,8 +500,48 @@ export default function DashboardPage() {
                 </div>
               )}
             </div>
+
+            {staleSince && (
+              <div className="mt-4 flex items-start gap-2 bg-amber-50 border border-amber-200 px-4 py-2 rounded-xl">
+                <WifiOff className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+                <div>
+                  <p className="text-sm text-amber-900 font-medium">
+                    {offline
+                      ? `As of ${formatClockTime(staleSince, preferences.clock)}, offline • showing the last arrivals received`
+                      : `Stale since ${formatClockTime(staleSince, preferences.clock)} • showing the last arrivals received`}
+                  </p>
+                  {offline ? (
+                    <p className="text-xs text-amber-800 mt-0.5">Arrivals update again when you are back online.</p>
+                  ) : error && (
+                    <p className="text-xs text-amber-800 mt-0.5">
+                      {error} {needsServerFix
+                        ? 'Automatic updates are paused until the server is fixed; refresh to try again.'
+                        : 'Retrying automatically.'}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
 
+          <AlertsPanel />
+
+          {walkMs !== null && buses.length > 0 && (
+            <WalkingAdvice distanceM={walkDistance} walkMs={walkMs} speed={walkingSpeed} advice={leaveAdvice} />
+          )}
+
+          {/* Live Bus Positions */}
+          {isFeatureEnabled('busMap') && buses.length > 0 && <BusPositionsMap busStop={busStop} buses={sortedBuses} />}
+
+          {buses.length > 0 && (
+            <ArrivalFilterBar
+              serviceNumbers={buses.map(bus => bus.number)}
+              operators={[...new Set(buses.map(bus => bus.operator))]}
+              filters={filters}
+              onChange={handleFiltersChange}
+            />
+          )}
+
           {/* Bus List */}
           {buses.length === 0 ? (
             <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
@@ -371,11 +551,19 @@ export default function DashboardPage() {
               <p className="text-2xl font-semibold text-gray-900 mb-2">No buses available</p>
               <p className="text-gray-600">There are currently no buses serving this stop.</p>
             </div>
+          ) : sortedBuses.length === 0 ? (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
+              <div className="bg-gray-100 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Bus className="w-10 h-10 text-gray-400" />
+              </div>
+              <p className="text-2xl font-semibold text-gray-900 mb-2">No matching buses</p>
+              <p className="text-gray-600">No upcoming buses match the current filters.</p>
+            </div>
           ) : (
             <div className="space-y-4">
-              {buses.map((bus, index) => (
+              {sortedBuses.map((bus) => (
                 <div
-                  key={index}
+                  key={bus.number}
                   onClick={() => setSelectedBus(bus)}
                   className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl hover:shadow-2xl transition-all duration-300 overflow-hidden border border-white/20 transform hover:-translate-y-1 cursor-pointer active:scale-98"
                 >
@@ -394,60 +582,79 @@ export default function DashboardPage() {
                           <div className="text-xl font-bold text-green-800 mb-1">
                             {bus.destination}
                           </div>
-                          <div className="text-xs text-gray-600 flex items-center gap-1.5 bg-gray-100 px-3 py-1.5 rounded-full w-fit">
-                            {bus.type === 'Double Deck' ? (
-                              <DoubleDeckBus className="w-4 h-4 text-gray-700" />
-                            ) : (
-                              <SingleDeckBus className="w-4 h-4 text-gray-700" />
-                            )}
-                            <span className="font-medium">{bus.type}</span>
-                            {bus.feature === 'WAB' && (
-                              <span className="ml-2">♿</span>
-                            )}
-                          </div>
                         </div>
                       </div>
+                      <div className="flex items-center gap-1">
+                        {isFeatureEnabled('alerts') && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setAlertPickerFor(alertPickerFor === bus.number ? null : bus.number);
+                            }}
+                            className="p-2 rounded-full hover:bg-amber-50 transition-colors"
+                            aria-label="Arrival alert"
+                          >
+                            <Bell className={`w-6 h-6 ${getServiceAlert(bus.number) ? 'text-amber-500 fill-amber-500' : 'text-gray-300'}`} />
+                          </button>
+                        )}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            toggleFavouriteService(busStopCode, bus.number);
+                          }}
+                          className="p-2 rounded-full hover:bg-amber-50 transition-colors"
+                          aria-label={favouriteServices.includes(bus.number) ? 'Remove from favourites' : 'Add to favourites'}
+                        >
+                          <Star className={`w-6 h-6 ${favouriteServices.includes(bus.number) ? 'text-amber-400 fill-amber-400' : 'text-gray-300'}`} />
+                        </button>
+                      </div>
                     </div>
 
-                    {/* Arrival Times */}
-                    <div className="flex items-center gap-3 mb-4">
-                      {bus.arrivals.slice(0, 3).map((time, idx) => (
-                        <div
-                          key={idx}
-                          className={`flex-1 text-center py-4 rounded-2xl transition-all duration-300 ${
-                            idx === 0
-                              ? 'bg-gradient-to-br from-green-500 to-green-500 shadow-lg transform scale-105'
-                              : 'bg-gradient-to-br from-gray-50 to-gray-100 hover:from-gray-100 hover:to-gray-200'
-                          }`}
-                        >
-                          <div
-                            className={`text-3xl font-bold ${
-                              idx === 0 ? 'text-white' : 'text-gray-800'
+                    {/* Alert Picker */}
+                    {alertPickerFor === bus.number && (
+                      <div
+                        onClick={(e) => e.stopPropagation()}
+                        className="mb-4 bg-amber-50 px-4 py-3 rounded-xl flex items-center gap-2 flex-wrap"
+                      >
+                        <span className="text-sm font-semibold text-gray-700">Alert me when {bus.number} is</span>
+                        {ALERT_THRESHOLDS.map(minutes => (
+                          <button
+                            key={minutes}
+                            onClick={() => handleArmAlert(bus.number, minutes)}
+                            className={`px-3 py-1 rounded-lg text-sm font-bold transition-colors ${
+                              getServiceAlert(bus.number)?.thresholdMinutes === minutes
+                                ? 'bg-amber-500 text-white'
+                                : 'bg-white text-gray-700 hover:bg-amber-100'
                             }`}
                           >
-                            {time === null ? '-' : time === 0 ? 'Arr' : time}
-                          </div>
-                          <div className={`text-xs mt-1 font-medium ${
-                            idx === 0 ? 'text-white/90' : 'text-gray-500'
-                          }`}>
-                            {time === null ? 'N/A' : time === 0 ? 'Arriving' : 'min'}
-                          </div>
-                        </div>
+                            {minutes}
+                          </button>
+                        ))}
+                        <span className="text-sm font-semibold text-gray-700">min away</span>
+                        {getServiceAlert(bus.number) && (
+                          <button
+                            onClick={() => {
+                              removeAlert(getServiceAlert(bus.number).id);
+                              setAlertPickerFor(null);
+                            }}
+                            className="ml-auto text-sm font-semibold text-red-600 hover:text-red-700"
+                          >
+                            Cancel alert
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Arrival Times */}
+                    <div className="flex items-center gap-3 mb-4">
+                      {bus.arrivals.slice(0, 3).map((arrival, idx) => (
+                        <ArrivalTile key={idx} arrival={arrival} isFirst={idx === 0} now={currentTime} walkMs={walkMs} />
                       ))}
                     </div>
 
-                    {/* Load Indicator */}
-                    <div className="flex items-center justify-between bg-gradient-to-r from-gray-50 to-gray-100 px-4 py-3 rounded-xl">
-                      <div className="flex items-center gap-2">
-                        <div className={`w-3 h-3 rounded-full ${getLoadColor(bus.load)} shadow-lg animate-pulse`}></div>
-                        <span className="text-sm font-semibold text-gray-700">{getLoadText(bus.load)}</span>
-                      </div>
-                      <div className="flex gap-1">
-                        <div className={`w-2 h-6 rounded-full ${bus.load === 'high' ? 'bg-red-500' : 'bg-gray-300'}`}></div>
-                        <div className={`w-2 h-6 rounded-full ${bus.load === 'medium' || bus.load === 'high' ? 'bg-amber-500' : 'bg-gray-300'}`}></div>
-                        <div className={`w-2 h-6 rounded-full ${bus.load === 'low' || bus.load === 'medium' || bus.load === 'high' ? 'bg-emerald-500' : 'bg-gray-300'}`}></div>
-                      </div>
-                    </div>
+                    {walkMs !== null && (
+                      <LeaveHint advice={leaveAdvice.find(item => item.serviceNo === bus.number)?.advice} />
+                    )}
 
                     <div className="mt-3 flex items-center justify-center gap-2 text-green-600 text-sm font-medium">
                       <span>Tap to view route</span>
@@ -461,13 +668,23 @@ export default function DashboardPage() {
             </div>
           )}
 
+          {isFeatureEnabled('stats') && (
+            <button
+              onClick={() => navigate(getStatsPath(busStopCode))}
+              className="mt-6 w-full flex items-center justify-center gap-2 px-6 py-3 bg-white/95 text-green-800 rounded-2xl font-semibold shadow-xl hover:bg-white transition-all"
+            >
+              <BarChart3 className="w-5 h-5" />
+              Service reliability at this stop
+            </button>
+          )}
+
           {/* Footer */}
           <div className="mt-8 text-center bg-white/20 backdrop-blur-xl rounded-2xl p-4 border border-white/30">
             <p className="text-sm text-black font-semibold mb-2">
               Real-time data from LTA DataMall
             </p>
             <p className="text-xs text-black/80">
-              ✨ Updates automatically every 30 seconds
+              ✨ {describeNextRefresh(arrivals, currentTime)}
             </p>
           </div>
         </div>
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, ArrowDownUp, Route, MapPin, Loader, AlertCircle, ChevronRight } from 'lucide-react';
+import { getArrivalCountdown, formatCountdown } from '../services/ltaApiService';
+import { useBusArrivals } from '../hooks/useBusArrivals';
+import { loadBusRoutes } from '../services/busRoutesService';
+import { getStopByCode, getStopName } from '../services/busStopsService';
+import { findDirectServices, findTransferJourneys } from '../services/journeyService';
+import { getDashboardPath, getJourneyPath, getJourneyPickerPath } from '../utils/paths';
+
+const formatLeg = (leg) => (
+  `${leg.stopCount} ${leg.stopCount === 1 ? 'stop' : 'stops'} • ${leg.distanceKm.toFixed(1)} km`
+);
+
+/**
+ * Next two buses of a service at the origin, as compact countdowns
+ */
+const NextArrivals = ({ bus, now }) => {
+  const upcoming = (bus?.arrivals || [])
+    .filter(arrival => arrival !== null)
+    .map(arrival => getArrivalCountdown(arrival.estimatedArrival, now))
+    .filter(countdown => countdown.status !== 'departed')
+    .slice(0, 2);
+
+  if (upcoming.length === 0) {
+    return <span className="text-xs text-gray-500">No live arrivals</span>;
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {upcoming.map((countdown, idx) => {
+        const { value, label } = formatCountdown(countdown);
+        return (
+          <div
+            key={idx}
+            className={`text-center px-3 py-1 rounded-xl ${idx === 0 ? 'bg-green-500 text-white' : 'bg-gray-100 text-gray-800'}`}
+          >
+            <div className="text-lg font-bold leading-tight">{value}</div>
+            <div className={`text-[10px] ${idx === 0 ? 'text-white/90' : 'text-gray-500'}`}>{label}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Journey finder: services from one stop to another, directly or with one change
+ * The origin and destination are chosen with the stop list search and kept in the URL
+ */
+export default function JourneyPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [currentTime, setCurrentTime] = useState(new Date());
+  const [routeData, setRouteData] = useState(null);
+  const [routeError, setRouteError] = useState(null);
+
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  const stopIndex = routeData?.stopIndex || null;
+  const originArrivals = useBusArrivals(from).data;
+
+  // Clock update
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setCurrentTime(new Date());
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    loadBusRoutes()
+      .then(setRouteData)
+      .catch(err => {
+        console.error('Error loading bus routes:', err);
+        setRouteError(err.message || 'Failed to load bus route data.');
+      });
+  }, []);
+
+  const options = useMemo(() => {
+    if (!routeData || !from || !to || from === to) return null;
+    const direct = findDirectServices(routeData, from, to);
+    return {
+      direct,
+      transfers: direct.length === 0 ? findTransferJourneys(routeData, from, to) : []
+    };
+  }, [routeData, from, to]);
+
+  const liveBus = (serviceNo) => originArrivals?.buses.find(bus => bus.number === serviceNo) || null;
+
+  const handleSwap = () => {
+    navigate(getJourneyPath({ from: to, to: from }), { replace: true });
+  };
+
+  const renderStopSlot = (field, label) => {
+    const code = field === 'from' ? from : to;
+    const stop = code ? getStopByCode(stopIndex, code) : null;
+
+    return (
+      <button
+        onClick={() => navigate(getJourneyPickerPath(field, { from, to }))}
+        className="w-full flex items-center gap-3 px-4 py-3 bg-gray-50 hover:bg-gray-100 border-2 border-gray-200 rounded-2xl text-left transition-colors"
+      >
+        <MapPin className={`w-5 h-5 flex-shrink-0 ${field === 'from' ? 'text-green-600' : 'text-red-500'}`} />
+        <div className="flex-1 min-w-0">
+          <div className="text-xs font-semibold text-gray-500 uppercase tracking-wide">{label}</div>
+          {code ? (
+            <div className="font-bold text-gray-900 truncate">
+              {stop?.name || `Stop ${code}`} <span className="font-normal text-gray-500">({code})</span>
+            </div>
+          ) : (
+            <div className="font-semibold text-gray-400">Choose a stop</div>
+          )}
+        </div>
+        <ChevronRight className="w-5 h-5 text-gray-400" />
+      </button>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
+      <div className="min-h-screen p-4 pb-8">
+        <div className="max-w-2xl mx-auto">
+
+          {/* Header */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
+            <button
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-green-800 hover:text-green-800 mb-4 font-semibold transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              Back to Bus Stops
+            </button>
+
+            <div className="flex items-center gap-2 text-sm mb-2 font-medium text-green-800">
+              <Route className="w-4 h-4" />
+              <span>Direct buses and one-change journeys</span>
+            </div>
+            <h1 className="text-4xl font-bold bg-gradient-to-br from-green-500 to-green-400 bg-clip-text text-transparent mb-4">
+              Journey Planner
+            </h1>
+
+            <div className="flex items-center gap-3">
+              <div className="flex-1 space-y-2">
+                {renderStopSlot('from', 'From')}
+                {renderStopSlot('to', 'To')}
+              </div>
+              <button
+                onClick={handleSwap}
+                disabled={!from && !to}
+                className="p-3 rounded-2xl bg-green-50 hover:bg-green-100 text-green-800 transition-colors disabled:opacity-50"
+                aria-label="Swap origin and destination"
+              >
+                <ArrowDownUp className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {routeError && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20 flex items-center gap-3">
+              <AlertCircle className="w-6 h-6 text-red-600 flex-shrink-0" />
+              <p className="text-sm text-gray-700">{routeError}</p>
+            </div>
+          )}
+
+          {from && to && from === to && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20 text-sm text-gray-700">
+              The origin and destination are the same stop.
+            </div>
+          )}
+
+          {from && to && !routeData && !routeError && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
+              <Loader className="w-8 h-8 text-green-600 animate-spin mx-auto mb-4" />
+              <p className="text-gray-600">Loading bus routes...</p>
+            </div>
+          )}
+
+          {routeData && routeData.routes.size === 0 && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20 flex items-center gap-3">
+              <AlertCircle className="w-6 h-6 text-amber-600 flex-shrink-0" />
+              <p className="text-sm text-gray-700">Bus route data is not available, so journeys cannot be planned.</p>
+            </div>
+          )}
+
+          {/* Direct Services */}
+          {options && options.direct.length > 0 && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+              <h3 className="text-lg font-bold text-gray-900 mb-4">Direct Buses</h3>
+              <div className="space-y-3">
+                {options.direct.map(leg => (
+                  <div
+                    key={`${leg.serviceNo}-${leg.direction}`}
+                    onClick={() => navigate(getDashboardPath(from, getStopName(stopIndex, from)))}
+                    className="flex items-center justify-between gap-3 bg-gray-50 hover:bg-gray-100 px-4 py-3 rounded-2xl cursor-pointer transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <div className="bg-gradient-to-br from-green-600 to-green-600 text-white w-14 h-14 rounded-xl flex items-center justify-center shadow">
+                        <span className="text-xl font-bold">{leg.serviceNo}</span>
+                      </div>
+                      <div className="text-sm text-gray-700">{formatLeg(leg)}</div>
+                    </div>
+                    <NextArrivals bus={liveBus(leg.serviceNo)} now={currentTime} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* One Change */}
+          {options && options.direct.length === 0 && routeData.routes.size > 0 && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+              <h3 className="text-lg font-bold text-gray-900 mb-1">With One Change</h3>
+              <p className="text-xs text-gray-500 mb-4">No bus goes directly between these stops.</p>
+
+              {options.transfers.length === 0 && (
+                <p className="text-sm text-gray-700">No journeys with a single change were found either.</p>
+              )}
+
+              <div className="space-y-3">
+                {options.transfers.map(option => {
+                  const [first, second] = option.legs;
+                  return (
+                    <div key={`${first.serviceNo}>${second.serviceNo}`} className="bg-gray-50 px-4 py-3 rounded-2xl">
+                      <div className="flex items-center justify-between gap-3 mb-2">
+                        <div className="flex items-center gap-2 font-bold text-green-800 text-lg">
+                          <span className="bg-green-600 text-white px-3 py-1 rounded-lg">{first.serviceNo}</span>
+                          <ChevronRight className="w-4 h-4 text-gray-400" />
+                          <span className="bg-green-600 text-white px-3 py-1 rounded-lg">{second.serviceNo}</span>
+                        </div>
+                        <NextArrivals bus={liveBus(first.serviceNo)} now={currentTime} />
+                      </div>
+                      <div className="text-sm text-gray-700">
+                        Change at <span className="font-semibold">{getStopName(stopIndex, option.transferCode)}</span>
+                        <span className="text-gray-500"> ({option.transferCode})</span>
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {first.serviceNo}: {formatLeg(first)} • {second.serviceNo}: {formatLeg(second)}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,78 +1,147 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { MapPin, Search, Navigation, Bus, Locate, ChevronRight, Loader, AlertCircle } from 'lucide-react';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { MapPin, Search, Navigation, Bus, Locate, ChevronRight, Loader, AlertCircle, Star, Download, Upload, LayoutGrid, Route, X, Pause, Play, Crosshair, Settings } from 'lucide-react';
+import { loadBusStops } from '../services/busStopsService';
+import { haversineMeters, formatDistance, createGeoIndex } from '../utils/geo';
+import { toggleFavouriteStop, exportFavourites, importFavourites } from '../services/favouritesService';
+import { useFavourites } from '../hooks/useFavourites';
+import { getDashboardPath, getBoardPath, getJourneyPath } from '../utils/paths';
+import { createStopSearchIndex } from '../services/stopSearch';
+import { buildStopListRows } from '../utils/stopGroups';
+import {
+  watchUserLocation,
+  parseCoordinates,
+  getManualLocation,
+  saveManualLocation,
+  isTrackingPaused,
+  setTrackingPaused as saveTrackingPaused
+} from '../services/locationService';
+import { useUserLocation } from '../hooks/useUserLocation';
+import { usePreferences } from '../hooks/usePreferences';
+import { isFeatureEnabled } from '../services/runtimeConfig';
+import AlertsPanel from './AlertsPanel';
+import LocationPicker from './LocationPicker';
+import VirtualStopList from './VirtualStopList';
 import '../App.css'
 
+// "Nearest" loads this many more stops each time the end of the list is reached
+const NEAREST_PAGE_SIZE = 50;
+const RADIUS_OPTIONS = [200, 500, 1000];
+
+const PICKER_PROMPTS = {
+  from: 'Choose where your journey starts',
+  to: 'Choose where your journey ends'
+};
+
 export default function LandingPage() {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [searchQuery, setSearchQuery] = useState('');
-  const [sortBy, setSortBy] = useState('distance');
-  const [userLocation, setUserLocation] = useState(null);
-  const [locationLoading, setLocationLoading] = useState(true);
+  const preferences = usePreferences();
+  const [sortBy, setSortBy] = useState(preferences.defaultSort);
   const [locationError, setLocationError] = useState(null);
+  const [trackingPaused, setTrackingPaused] = useState(isTrackingPaused);
   const [busStopsData, setBusStopsData] = useState([]);
-  const [busStops, setBusStops] = useState([]);
-  const [filteredStops, setFilteredStops] = useState([]);
+  const [radius, setRadius] = useState(null);
   const [dataLoading, setDataLoading] = useState(true);
   const [dataError, setDataError] = useState(null);
-  const csvUrl = `${import.meta.env.BASE_URL}data/busstops.csv`;
+  const [favouritesError, setFavouritesError] = useState(null);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [nearestLimit, setNearestLimit] = useState(NEAREST_PAGE_SIZE);
+  const scrollRef = useRef(null);
+  const favourites = useFavourites();
+  const gpsLocation = useUserLocation();
+
+  // A location set by hand lives in ?lat=&lng= so "stops near here" can be shared
+  const latParam = searchParams.get('lat');
+  const lngParam = searchParams.get('lng');
+  const urlLocation = useMemo(() => parseCoordinates(latParam, lngParam), [latParam, lngParam]);
+  const savedLocation = getManualLocation();
+  const urlLocationLabel = urlLocation && savedLocation &&
+    savedLocation.latitude === urlLocation.latitude && savedLocation.longitude === urlLocation.longitude
+    ? savedLocation.label
+    : 'Shared location';
+
+  // Without GPS, use the home location from settings or the last location set
+  // by hand; with neither, ask for one
+  const fallbackLocation = preferences.homeLocation || savedLocation;
+  const gpsUnavailable = !gpsLocation && (locationError !== null || trackingPaused);
+  const userLocation = urlLocation || gpsLocation || (gpsUnavailable ? fallbackLocation : null);
+  const locationLoading = !userLocation && !gpsUnavailable;
+  const showPicker = pickerOpen || !userLocation;
+
+  // Opened from the journey finder to pick its origin or destination
+  const pickFor = PICKER_PROMPTS[searchParams.get('pick')] ? searchParams.get('pick') : null;
+  const journey = { from: searchParams.get('from'), to: searchParams.get('to') };
+
+  // Indexes are rebuilt only when the stop data changes, not on every keystroke or location update
+  const searchIndex = useMemo(() => createStopSearchIndex(busStopsData), [busStopsData]);
+  const geoIndex = useMemo(() => createGeoIndex(busStopsData), [busStopsData]);
 
   /**
-   * Clean bus stop description for URL
-   * Removes special characters and converts to URL-friendly format
+   * Filter and search bus stops, attaching the distance in metres from the user
    */
-  const cleanBusDescription = (description) => {
-    return description
-      .replace(/[^a-zA-Z0-9\s]/g, '') // Remove special characters
-      .trim()
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .toLowerCase();
-  };
+  const filteredStops = useMemo(() => {
+    const distanceTo = userLocation
+      ? (stop) => haversineMeters(userLocation.latitude, userLocation.longitude, stop.latitude, stop.longitude)
+      : () => null;
+    const withDistance = (stop) => ({ ...stop, distance: distanceTo(stop) });
+    const fromIndex = ({ item, distance }) => ({ ...item, distance });
+
+    let results;
+    if (searchQuery) {
+      // Search results are already ranked by match quality, then proximity
+      results = searchIndex.search(searchQuery, { getDistance: distanceTo }).map(withDistance);
+      if (radius && userLocation) results = results.filter(stop => stop.distance <= radius);
+    } else if (!userLocation) {
+      // Distance sorting needs a location; names can still be browsed
+      results = sortBy === 'name' ? busStopsData.map(withDistance) : [];
+    } else if (radius) {
+      results = geoIndex.withinRadius(userLocation.latitude, userLocation.longitude, radius).map(fromIndex);
+    } else if (sortBy === 'distance') {
+      results = geoIndex.nearest(userLocation.latitude, userLocation.longitude, nearestLimit).map(fromIndex);
+    } else {
+      results = busStopsData.map(withDistance);
+    }
 
-  /**
-   * Haversine formula to calculate distance between two GPS coordinates
-   */
-  const haversine = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // Radius of Earth in kilometers
-    
-    const toRadians = (degrees) => degrees * (Math.PI / 180);
-    
-    const lat1_rad = toRadians(lat1);
-    const lon1_rad = toRadians(lon1);
-    const lat2_rad = toRadians(lat2);
-    const lon2_rad = toRadians(lon2);
-    
-    const dlat = lat2_rad - lat1_rad;
-    const dlon = lon2_rad - lon1_rad;
-    
-    const a = Math.sin(dlat/2) ** 2 + 
-              Math.cos(lat1_rad) * Math.cos(lat2_rad) * Math.sin(dlon/2) ** 2;
-    const c = 2 * Math.asin(Math.sqrt(a));
-    
-    let distance = R * c;
-    
-    if (distance < 1) {
-      distance = distance * 1000;
-      return { value: distance, unit: 'm' };
+    if (sortBy === 'name') {
+      results = [...results].sort((a, b) => a.name.localeCompare(b.name));
     }
-    
-    return { value: distance, unit: 'km' };
-  };
 
-  /**
-   * Format distance for display
-   */
-  const formatDistance = (distanceObj) => {
-    if (!distanceObj) return 'N/A';
-    
-    if (distanceObj.unit === 'm') {
-      return `${Math.round(distanceObj.value)}m`;
-    } else {
-      return `${distanceObj.value.toFixed(1)}km`;
+    return results;
+  }, [userLocation, searchQuery, sortBy, radius, busStopsData, searchIndex, geoIndex, nearestLimit]);
+
+  // Search results stay in relevance order, so only sorted lists get section headers
+  const listGrouping = sortBy === 'name' ? 'name' : (!searchQuery && userLocation ? 'distance' : null);
+  const { units } = preferences;
+  const listRows = useMemo(
+    () => buildStopListRows(filteredStops, listGrouping, units),
+    [filteredStops, listGrouping, units]
+  );
+  const pagingNearest = !searchQuery && !radius && sortBy === 'distance' && userLocation !== null;
+
+  const handleListEndReached = () => {
+    if (pagingNearest && nearestLimit < busStopsData.length) {
+      setNearestLimit(nearestLimit + NEAREST_PAGE_SIZE);
     }
   };
 
+  // Favourite stops pinned above the list, nearest first when the location is known
+  const favouriteStops = useMemo(() => {
+    const stops = busStopsData.filter(stop => favourites.stops.includes(stop.code));
+    if (!userLocation) {
+      return stops
+        .map(stop => ({ ...stop, distance: null }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return stops
+      .map(stop => ({
+        ...stop,
+        distance: haversineMeters(userLocation.latitude, userLocation.longitude, stop.latitude, stop.longitude)
+      }))
+      .sort((a, b) => a.distance - b.distance);
+  }, [busStopsData, favourites, userLocation]);
+
   /**
    * Load bus stops data from CSV file
    */
@@ -80,48 +149,10 @@ export default function LandingPage() {
     setDataLoading(true);
     setDataError(null);
 
-    fetch(csvUrl)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        return response.text();
-      })
-      .then(csvText => {
-        Papa.parse(csvText, {
-          header: true,
-          skipEmptyLines: true,
-          dynamicTyping: false,
-          complete: (results) => {
-            const stops = results.data.map(row => {
-              return {
-                code: row.BusStopCode || row.busStopCode,
-                name: row.Description || row.description,
-                road: row.RoadName || row.roadName,
-                latitude: parseFloat(row.Latitude || row.latitude),
-                longitude: parseFloat(row.Longitude || row.longitude)
-              };
-            }).filter(stop => {
-              return stop.code && 
-                     stop.name && 
-                     !isNaN(stop.latitude) && 
-                     !isNaN(stop.longitude);
-            });
-
-            if (stops.length === 0) {
-              setDataError('No valid bus stops found in CSV.');
-              setDataLoading(false);
-              return;
-            }
-
-            setBusStopsData(stops);
-            setDataLoading(false);
-          },
-          error: (error) => {
-            setDataError(`CSV parsing error: ${error.message}`);
-            setDataLoading(false);
-          }
-        });
+    loadBusStops()
+      .then(({ stops }) => {
+        setBusStopsData(stops);
+        setDataLoading(false);
       })
       .catch(error => {
         setDataError(`Failed to load bus stops: ${error.message}`);
@@ -129,33 +160,6 @@ export default function LandingPage() {
       });
   };
 
-  /**
-   * Calculate distances when user location and bus stops data are ready
-   */
-  useEffect(() => {
-    if (!userLocation || busStopsData.length === 0) return;
-
-    const stopsWithDistance = busStopsData.map(stop => {
-      const distance = haversine(
-        userLocation.latitude, 
-        userLocation.longitude, 
-        stop.latitude, 
-        stop.longitude
-      );
-      
-      return {
-        ...stop,
-        distance: distance,
-        distanceValue: distance.unit === 'km' ? distance.value : distance.value / 1000
-      };
-    });
-
-    const sorted = stopsWithDistance.sort((a, b) => a.distanceValue - b.distanceValue);
-    
-    setBusStops(sorted);
-    setFilteredStops(sorted);
-  }, [userLocation, busStopsData]);
-
   /**
    * Load CSV data on mount
    */
@@ -164,90 +168,180 @@ export default function LandingPage() {
   }, []);
 
   /**
-   * Get user's location
+   * Follow the user's location until tracking is paused
    */
+  const hasUrlLocation = urlLocation !== null;
   useEffect(() => {
-    if (navigator.geolocation) {
-      setLocationLoading(true);
-      
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          setUserLocation({
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude
-          });
-          setLocationLoading(false);
-        },
-        (error) => {
-          setLocationError('Unable to get your location. Using default location (Orchard Road).');
-          
-          setUserLocation({
-            latitude: 1.3048,
-            longitude: 103.8318
-          });
-          
-          setLocationLoading(false);
-        },
-        {
-          enableHighAccuracy: true,
-          timeout: 10000,
-          maximumAge: 0
-        }
-      );
-    } else {
-      setLocationError('Geolocation not supported.');
-      
-      setUserLocation({
-        latitude: 1.3048,
-        longitude: 103.8318
-      });
-      
-      setLocationLoading(false);
-    }
-  }, []);
+    // No need for GPS while showing stops near a chosen place
+    if (trackingPaused || hasUrlLocation) return;
+    return watchUserLocation({
+      onError: (error) => {
+        console.error('Error getting location:', error);
+        setLocationError(error.code === 1 ? 'Location permission denied.' : 'Unable to get your location.');
+      }
+    });
+  }, [trackingPaused, hasUrlLocation]);
+
+  const updateLocationParams = (coordinates) => {
+    setSearchParams(params => {
+      if (coordinates) {
+        params.set('lat', coordinates.latitude);
+        params.set('lng', coordinates.longitude);
+      } else {
+        params.delete('lat');
+        params.delete('lng');
+      }
+      return params;
+    });
+  };
 
   /**
-   * Filter and search bus stops
+   * Use a location set by hand and remember it for next time
    */
-  useEffect(() => {
-    if (busStops.length === 0) return;
+  const handlePickLocation = (location) => {
+    // Rounded to about a metre so the URL stays short and matches the saved location
+    const rounded = {
+      latitude: Number(location.latitude.toFixed(5)),
+      longitude: Number(location.longitude.toFixed(5)),
+      label: location.label
+    };
+    saveManualLocation(rounded);
+    updateLocationParams(rounded);
+    setPickerOpen(false);
+  };
 
-    let filtered = busStops;
+  const handleUseGps = () => {
+    updateLocationParams(null);
+    if (trackingPaused) handleToggleTracking();
+  };
 
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(stop => 
-        stop.name.toLowerCase().includes(query) ||
-        stop.code.toLowerCase().includes(query) ||
-        stop.road.toLowerCase().includes(query)
-      );
+  const getLocationStatus = () => {
+    if (urlLocation) return `Stops near ${urlLocationLabel}`;
+    if (gpsUnavailable && fallbackLocation) {
+      return `${trackingPaused ? 'Tracking paused' : 'Location unavailable'} • using ${fallbackLocation.label}`;
     }
-
-    if (sortBy === 'distance') {
-      filtered = [...filtered].sort((a, b) => a.distanceValue - b.distanceValue);
-    } else if (sortBy === 'name') {
-      filtered = [...filtered].sort((a, b) => a.name.localeCompare(b.name));
+    if (trackingPaused) {
+      return gpsLocation ? 'Tracking paused • distances from your last position' : 'Tracking paused';
     }
+    if (!gpsLocation) return 'Location unavailable';
+    return gpsLocation.accuracy !== null
+      ? `Tracking your location • accurate to ±${formatDistance(gpsLocation.accuracy, preferences.units)}`
+      : 'Tracking your location';
+  };
 
-    setFilteredStops(filtered);
-  }, [searchQuery, busStops, sortBy]);
+  const handleToggleTracking = () => {
+    const paused = !trackingPaused;
+    saveTrackingPaused(paused);
+    setTrackingPaused(paused);
+  };
 
-  const getDistanceColor = (distanceObj) => {
-    if (!distanceObj) return 'text-gray-600 bg-gray-50 border-gray-200';
-    
-    const kmValue = distanceObj.unit === 'km' ? distanceObj.value : distanceObj.value / 1000;
+  const getDistanceColor = (meters) => {
+    if (meters === null || meters === undefined) return 'text-gray-600 bg-gray-50 border-gray-200';
     
-    if (kmValue < 0.5) return 'text-emerald-600 bg-emerald-50 border-emerald-200';
-    if (kmValue < 1.0) return 'text-amber-600 bg-amber-50 border-amber-200';
+    if (meters < 500) return 'text-emerald-600 bg-emerald-50 border-emerald-200';
+    if (meters < 1000) return 'text-amber-600 bg-amber-50 border-amber-200';
     return 'text-gray-600 bg-gray-50 border-gray-200';
   };
 
   /**
-   * Handle bus stop click - navigate to dashboard
+   * Handle bus stop click - navigate to dashboard, or back to the journey
+   * finder when picking a journey stop
    */
   const handleBusStopClick = (stop) => {
-    const cleanDescription = cleanBusDescription(stop.name);
-    navigate(`/dashboards/${stop.code}/${cleanDescription}`);
+    if (pickFor) {
+      navigate(getJourneyPath({ ...journey, [pickFor]: stop.code }));
+      return;
+    }
+    navigate(getDashboardPath(stop.code, stop.name));
+  };
+
+  /**
+   * Render one bus stop card
+   */
+  const renderStopCard = (stop) => {
+    const isFavourite = favourites.stops.includes(stop.code);
+
+    return (
+      <div
+        key={stop.code}
+        onClick={() => handleBusStopClick(stop)}
+        className="bg-white/95 backdrop-blur-xl rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-300 overflow-hidden border border-white/20 cursor-pointer transform hover:-translate-y-1 hover:scale-[1.02] active:scale-98"
+      >
+        <div className="p-6">
+          <div className="flex items-start justify-between">
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2 mb-3 flex-wrap">
+                <div className="bg-gradient-to-br from-green-600 to-green-600 text-white px-4 py-1.5 rounded-lg shadow-md">
+                  <span className="text-sm font-bold">{stop.code}</span>
+                </div>
+                {stop.distance !== null && (
+                  <div className={`px-3 py-1.5 rounded-lg text-sm font-semibold shadow-sm border-2 ${getDistanceColor(stop.distance)}`}>
+                    <div className="flex items-center gap-1.5">
+                      <Navigation className="w-3.5 h-3.5" />
+                      {formatDistance(stop.distance, preferences.units)}
+                    </div>
+                  </div>
+                )}
+              </div>
+            
+              <h3 className="text-xl md:text-2xl font-bold text-gray-900 mb-2 leading-tight truncate">
+                {stop.name}
+              </h3>
+            
+              <p className="text-sm text-gray-600 flex items-center gap-2">
+                <MapPin className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                <span className="truncate">{stop.road}</span>
+              </p>
+            </div>
+
+            <div className="flex-shrink-0 ml-4 flex flex-col items-center gap-2">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleFavouriteStop(stop.code);
+                }}
+                className="p-2 rounded-full hover:bg-amber-50 transition-colors"
+                aria-label={isFavourite ? 'Remove from favourites' : 'Add to favourites'}
+              >
+                <Star className={`w-6 h-6 ${isFavourite ? 'text-amber-400 fill-amber-400' : 'text-gray-300'}`} />
+              </button>
+              <div className="bg-gradient-to-br from-green-100 to-green-100 w-12 h-12 rounded-full flex items-center justify-center">
+                <ChevronRight className="w-6 h-6 text-green-600" />
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Download favourites as a JSON file
+   */
+  const handleExportFavourites = () => {
+    const blob = new Blob([exportFavourites()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'hop-on-sg-favourites.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Replace favourites with an uploaded JSON file
+   */
+  const handleImportFavourites = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        importFavourites(text);
+        setFavouritesError(null);
+      })
+      .catch(error => setFavouritesError(`Could not import favourites: ${error.message}`));
   };
 
   // Error state
@@ -295,7 +389,7 @@ export default function LandingPage() {
   }
 
   return (
-    <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
+    <div ref={scrollRef} className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
       <div className="max-w-3xl mx-auto">
         
         {/* Hero Header */}
@@ -316,15 +410,17 @@ export default function LandingPage() {
             Get your bus arrivals at your fingertips.
           </p>
 
-          {locationError && (
+          {locationError && !gpsLocation && !urlLocation && (
             <div className="mt-4 bg-amber-500/20 backdrop-blur-xl border border-amber-300/50 rounded-2xl px-4 py-2 inline-block">
-              <p className="text-sm text-black font-medium">{locationError}</p>
+              <p className="text-sm text-black font-medium">
+                {locationError} {fallbackLocation ? `Showing stops near ${fallbackLocation.label}.` : 'Set your location to see nearby stops.'}
+              </p>
             </div>
           )}
 
           <div className="flex items-center justify-center gap-6 mt-8">
             <div className="bg-white/20 backdrop-blur-xl rounded-2xl px-6 py-3 border border-white/30">
-              <div className="text-3xl font-bold text-black">{busStops.length}</div>
+              <div className="text-3xl font-bold text-black">{busStopsData.length}</div>
               <div className="text-sm text-black/80">Bus Stops</div>
             </div>
             <div className="bg-white/20 backdrop-blur-xl rounded-2xl px-6 py-3 border border-white/30">
@@ -335,8 +431,54 @@ export default function LandingPage() {
               <div className="text-sm text-black/80">Real-Time</div>
             </div>
           </div>
+
+          {!pickFor && (
+            <div className="mt-6 flex items-center justify-center gap-3 flex-wrap">
+              {isFeatureEnabled('journey') && (
+                <button
+                  onClick={() => navigate(getJourneyPath())}
+                  className="inline-flex items-center gap-2 bg-white/20 backdrop-blur-xl rounded-2xl px-6 py-3 border border-white/30 font-semibold text-black hover:bg-white/30 transition-colors"
+                >
+                  <Route className="w-5 h-5" />
+                  Plan a journey
+                </button>
+              )}
+              <button
+                onClick={() => navigate('/settings')}
+                className="inline-flex items-center gap-2 bg-white/20 backdrop-blur-xl rounded-2xl px-6 py-3 border border-white/30 font-semibold text-black hover:bg-white/30 transition-colors"
+              >
+                <Settings className="w-5 h-5" />
+                Settings
+              </button>
+            </div>
+          )}
         </div>
 
+        {pickFor && (
+          <div className="bg-green-600 text-white rounded-3xl shadow-2xl px-6 py-4 mb-6 flex items-center justify-between gap-3">
+            <div className="flex items-center gap-2 font-semibold">
+              <Route className="w-5 h-5" />
+              {PICKER_PROMPTS[pickFor]}
+            </div>
+            <button
+              onClick={() => navigate(getJourneyPath(journey))}
+              className="p-1 rounded-full hover:bg-white/20 transition-colors"
+              aria-label="Cancel picking a stop"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+
+        {showPicker && (
+          <LocationPicker
+            stops={busStopsData}
+            searchIndex={searchIndex}
+            onPick={handlePickLocation}
+            onCancel={userLocation ? () => setPickerOpen(false) : undefined}
+          />
+        )}
+
         {/* Search and Filter */}
         <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
           <div className="relative mb-4">
@@ -393,69 +535,139 @@ export default function LandingPage() {
             <div className="flex items-center gap-2 bg-gradient-to-r from-green-50 to-green-50 px-4 py-2 rounded-xl border border-green-200">
               <div className="w-2 h-2 bg-green-600 rounded-full animate-pulse"></div>
               <span className="text-sm text-green-900 font-semibold">
-                {filteredStops.length} {filteredStops.length === 1 ? 'stop' : 'stops'} found
+                {!searchQuery && !radius && sortBy === 'distance'
+                  ? `Nearest ${filteredStops.length} stops`
+                  : `${filteredStops.length} ${filteredStops.length === 1 ? 'stop' : 'stops'} found`}
               </span>
             </div>
           </div>
+
+          <div className="flex items-center gap-2 mt-4 flex-wrap">
+            <span className="text-sm font-semibold text-gray-600">Within</span>
+            {[null, ...RADIUS_OPTIONS].map(option => (
+              <button
+                key={option ?? 'any'}
+                onClick={() => setRadius(option)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${
+                  radius === option
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {option === null ? 'Any distance' : formatDistance(option, preferences.units)}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between gap-2 mt-4 flex-wrap">
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              {urlLocation
+                ? <MapPin className="w-4 h-4 text-green-600" />
+                : <Locate className={`w-4 h-4 ${gpsLocation && !trackingPaused ? 'text-green-600' : 'text-gray-400'}`} />}
+              {getLocationStatus()}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPickerOpen(true)}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-green-800 bg-green-50 hover:bg-green-100 transition-colors"
+              >
+                <Crosshair className="w-4 h-4" />
+                {urlLocation ? 'Change' : 'Set location'}
+              </button>
+              {urlLocation ? (
+                <button
+                  onClick={handleUseGps}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-green-800 bg-green-50 hover:bg-green-100 transition-colors"
+                >
+                  <Locate className="w-4 h-4" />
+                  Use GPS
+                </button>
+              ) : (
+                <button
+                  onClick={handleToggleTracking}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-green-800 bg-green-50 hover:bg-green-100 transition-colors"
+                >
+                  {trackingPaused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                  {trackingPaused ? 'Resume' : 'Pause'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <AlertsPanel />
+
+        {/* Favourite Stops */}
+        <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
+          <div className="flex items-center justify-between flex-wrap gap-3">
+            <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+              <Star className="w-5 h-5 text-amber-400 fill-amber-400" />
+              Favourite Stops
+            </h2>
+            <div className="flex items-center gap-2">
+              {isFeatureEnabled('board') && favouriteStops.length > 0 && (
+                <button
+                  onClick={() => navigate(getBoardPath(favouriteStops.map(stop => stop.code)))}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-green-600 hover:bg-green-700 transition-colors"
+                >
+                  <LayoutGrid className="w-4 h-4" />
+                  Board
+                </button>
+              )}
+              <button
+                onClick={handleExportFavourites}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-green-800 bg-green-50 hover:bg-green-100 transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                Export
+              </button>
+              <label className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-green-800 bg-green-50 hover:bg-green-100 transition-colors cursor-pointer">
+                <Upload className="w-4 h-4" />
+                Import
+                <input type="file" accept="application/json,.json" onChange={handleImportFavourites} className="hidden" />
+              </label>
+            </div>
+          </div>
+
+          {favouritesError && (
+            <p className="mt-3 text-sm text-red-600">{favouritesError}</p>
+          )}
+
+          {favouriteStops.length === 0 ? (
+            <p className="mt-3 text-sm text-gray-600">Tap the star on a bus stop to pin it here.</p>
+          ) : (
+            <div className="mt-4 space-y-4">
+              {favouriteStops.map(renderStopCard)}
+            </div>
+          )}
         </div>
 
         {/* Bus Stops List */}
-        <div className="space-y-4">
+        <div>
           {filteredStops.length === 0 ? (
             <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
               <div className="bg-gray-100 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4">
                 <Search className="w-10 h-10 text-gray-400" />
               </div>
               <p className="text-2xl font-semibold text-gray-900 mb-2">No bus stops found</p>
-              <p className="text-gray-600 mb-4">Try adjusting your search query</p>
+              <p className="text-gray-600 mb-4">Try adjusting your search query or distance</p>
               <button
-                onClick={() => setSearchQuery('')}
+                onClick={() => {
+                  setSearchQuery('');
+                  setRadius(null);
+                }}
                 className="px-6 py-3 bg-gradient-to-br from-indigo-500 to-purple-500 text-white rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-600 transition-all shadow-lg"
               >
                 Clear Search
               </button>
             </div>
           ) : (
-            filteredStops.slice(0, 20).map((stop) => (
-              <div
-                key={stop.code}
-                onClick={() => handleBusStopClick(stop)}
-                className="bg-white/95 backdrop-blur-xl rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-300 overflow-hidden border border-white/20 cursor-pointer transform hover:-translate-y-1 hover:scale-[1.02] active:scale-98"
-              >
-                <div className="p-6">
-                  <div className="flex items-start justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-2 mb-3 flex-wrap">
-                        <div className="bg-gradient-to-br from-green-600 to-green-600 text-white px-4 py-1.5 rounded-lg shadow-md">
-                          <span className="text-sm font-bold">{stop.code}</span>
-                        </div>
-                        <div className={`px-3 py-1.5 rounded-lg text-sm font-semibold shadow-sm border-2 ${getDistanceColor(stop.distance)}`}>
-                          <div className="flex items-center gap-1.5">
-                            <Navigation className="w-3.5 h-3.5" />
-                            {formatDistance(stop.distance)}
-                          </div>
-                        </div>
-                      </div>
-                      
-                      <h3 className="text-xl md:text-2xl font-bold text-gray-900 mb-2 leading-tight">
-                        {stop.name}
-                      </h3>
-                      
-                      <p className="text-sm text-gray-600 flex items-center gap-2">
-                        <MapPin className="w-4 h-4 text-gray-400" />
-                        {stop.road}
-                      </p>
-                    </div>
-
-                    <div className="flex-shrink-0 ml-4">
-                      <div className="bg-gradient-to-br from-green-100 to-green-100 w-12 h-12 rounded-full flex items-center justify-center">
-                        <ChevronRight className="w-6 h-6 text-green-600" />
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            ))
+            <VirtualStopList
+              rows={listRows}
+              renderStop={renderStopCard}
+              scrollRef={scrollRef}
+              onEndReached={handleListEndReached}
+            />
           )}
         </div>
 
@@ -466,7 +678,7 @@ export default function LandingPage() {
               <div className="flex items-center justify-center gap-2 text-white flex-wrap">
                 <Locate className="w-5 h-5 text-emerald-300" />
                 <span className="font-medium text-sm text-black">
-                  Distances calculated from your location ({userLocation.latitude.toFixed(4)}°, {userLocation.longitude.toFixed(4)}°)
+                  Distances calculated from {urlLocation ? urlLocationLabel : 'your location'} ({userLocation.latitude.toFixed(4)}°, {userLocation.longitude.toFixed(4)}°)
                 </span>
               </div>
             </div>
@@ -0,0 +1,196 @@
+import React, { useState, useMemo } from 'react';
+import { MapPin, Search, Crosshair, X } from 'lucide-react';
+import { tokenize, tokenizeQuery } from '../services/stopSearch';
+import { parseCoordinates } from '../services/locationService';
+
+const RESULT_LIMIT = 8;
+
+const MODES = {
+  stop: 'Bus stop',
+  road: 'Road',
+  coordinates: 'Coordinates'
+};
+
+/**
+ * Group stops by road, placing each road at the centre of its stops
+ */
+const buildRoadIndex = (stops) => {
+  const roads = new Map();
+  stops.forEach(stop => {
+    if (!stop.road) return;
+    if (!roads.has(stop.road)) {
+      roads.set(stop.road, { road: stop.road, words: tokenize(stop.road), latitude: 0, longitude: 0, count: 0 });
+    }
+    const entry = roads.get(stop.road);
+    entry.latitude += stop.latitude;
+    entry.longitude += stop.longitude;
+    entry.count += 1;
+  });
+
+  return [...roads.values()].map(entry => ({
+    ...entry,
+    latitude: entry.latitude / entry.count,
+    longitude: entry.longitude / entry.count
+  }));
+};
+
+/**
+ * Set the user's location by hand: "I'm at this stop", somewhere on a road,
+ * or exact coordinates
+ * @param {Object} props
+ * @param {Array} props.stops - Bus stops from loadBusStops()
+ * @param {Object} props.searchIndex - Result of createStopSearchIndex()
+ * @param {Function} props.onPick - Called with {latitude, longitude, label}
+ * @param {Function} [props.onCancel] - Close the picker; omitted when a location is required
+ */
+export default function LocationPicker({ stops, searchIndex, onPick, onCancel }) {
+  const [mode, setMode] = useState('stop');
+  const [query, setQuery] = useState('');
+  const [latitude, setLatitude] = useState('');
+  const [longitude, setLongitude] = useState('');
+  const [coordinatesError, setCoordinatesError] = useState(null);
+
+  const roadIndex = useMemo(() => buildRoadIndex(stops), [stops]);
+
+  const stopResults = mode === 'stop' && query.trim()
+    ? searchIndex.search(query).slice(0, RESULT_LIMIT)
+    : [];
+
+  const queryWords = tokenizeQuery(query);
+  const roadResults = mode === 'road' && queryWords.length > 0
+    ? roadIndex
+      .filter(entry => queryWords.every(forms =>
+        entry.words.some(roadWord => forms.some(form => roadWord.startsWith(form)))
+      ))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, RESULT_LIMIT)
+    : [];
+
+  const handleCoordinatesSubmit = (e) => {
+    e.preventDefault();
+    const coordinates = parseCoordinates(latitude.trim(), longitude.trim());
+    if (!coordinates) {
+      setCoordinatesError('Enter a latitude and longitude in Singapore, e.g. 1.3521 and 103.8198.');
+      return;
+    }
+    onPick({ ...coordinates, label: `${coordinates.latitude.toFixed(4)}°, ${coordinates.longitude.toFixed(4)}°` });
+  };
+
+  const resultClass = 'w-full flex items-center gap-3 px-4 py-3 bg-gray-50 hover:bg-green-50 rounded-xl text-left transition-colors';
+
+  return (
+    <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+          <Crosshair className="w-5 h-5 text-green-600" />
+          Set your location
+        </h2>
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="p-1 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+            aria-label="Close location picker"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 mb-4">
+        {Object.entries(MODES).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => {
+              setMode(key);
+              setQuery('');
+            }}
+            className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${
+              mode === key
+                ? 'bg-green-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode !== 'coordinates' ? (
+        <>
+          <div className="relative mb-3">
+            <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              autoFocus
+              placeholder={mode === 'stop' ? 'Stop name or code you are at...' : 'Road name, e.g. Jurong West St 91...'}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full pl-12 pr-4 py-3 bg-gray-50 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-green-500 text-gray-900"
+            />
+          </div>
+
+          <div className="space-y-2">
+            {stopResults.map(stop => (
+              <button
+                key={stop.code}
+                onClick={() => onPick({ latitude: stop.latitude, longitude: stop.longitude, label: stop.name })}
+                className={resultClass}
+              >
+                <MapPin className="w-4 h-4 text-green-600 flex-shrink-0" />
+                <span className="flex-1 text-sm text-gray-900">
+                  <span className="font-semibold">{stop.name}</span>
+                  <span className="text-gray-500"> ({stop.code}) • {stop.road}</span>
+                </span>
+                <span className="text-xs font-semibold text-green-700">I'm here</span>
+              </button>
+            ))}
+            {roadResults.map(entry => (
+              <button
+                key={entry.road}
+                onClick={() => onPick({ latitude: entry.latitude, longitude: entry.longitude, label: entry.road })}
+                className={resultClass}
+              >
+                <MapPin className="w-4 h-4 text-green-600 flex-shrink-0" />
+                <span className="flex-1 text-sm font-semibold text-gray-900">{entry.road}</span>
+                <span className="text-xs text-gray-500">{entry.count} {entry.count === 1 ? 'stop' : 'stops'}</span>
+              </button>
+            ))}
+            {query.trim() && stopResults.length === 0 && roadResults.length === 0 && (
+              <p className="text-sm text-gray-600">No matches.</p>
+            )}
+          </div>
+        </>
+      ) : (
+        <form onSubmit={handleCoordinatesSubmit} className="space-y-3">
+          <div className="flex items-center gap-2 flex-wrap">
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder="Latitude"
+              value={latitude}
+              onChange={(e) => setLatitude(e.target.value)}
+              className="flex-1 min-w-[8rem] px-4 py-3 bg-gray-50 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-green-500 text-gray-900"
+            />
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder="Longitude"
+              value={longitude}
+              onChange={(e) => setLongitude(e.target.value)}
+              className="flex-1 min-w-[8rem] px-4 py-3 bg-gray-50 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-green-500 text-gray-900"
+            />
+            <button
+              type="submit"
+              className="px-5 py-3 bg-green-600 hover:bg-green-700 text-white rounded-xl font-semibold transition-colors"
+            >
+              Use
+            </button>
+          </div>
+          {coordinatesError && (
+            <p className="text-sm text-red-600">{coordinatesError}</p>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Settings, RefreshCw, Clock, Ruler, Footprints, ArrowUpDown, Home, Satellite, RotateCcw } from 'lucide-react';
+import { loadBusStops } from '../services/busStopsService';
+import { createStopSearchIndex } from '../services/stopSearch';
+import {
+  REFRESH_INTERVALS,
+  CLOCK_FORMATS,
+  DISTANCE_UNITS,
+  STOP_SORTS,
+  updatePreferences,
+  resetPreferences
+} from '../services/preferencesService';
+import { WALKING_SPEEDS, setWalkingSpeed } from '../services/walkingService';
+import { usePreferences } from '../hooks/usePreferences';
+import { useWalkingSpeed } from '../hooks/useWalkingSpeed';
+import { formatClockTime } from '../utils/time';
+import { formatDistance } from '../utils/geo';
+import LocationPicker from './LocationPicker';
+
+const optionClass = (active) => `px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${
+  active
+    ? 'bg-green-600 text-white'
+    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+}`;
+
+/**
+ * One setting with a row of mutually exclusive choices
+ * @param {Object} props
+ * @param {React.ReactNode} props.icon - Shown before the title
+ * @param {Object} props.options - Value -> label; object keys, so numbers arrive as strings
+ * @param {*} props.selected - Current value
+ * @param {Function} props.onSelect - Called with the chosen key
+ */
+const OptionSetting = ({ icon, title, description, options, selected, onSelect }) => (
+  <div className="py-4 first:pt-0 last:pb-0">
+    <h2 className="text-base font-bold text-gray-900 flex items-center gap-2">
+      {icon}
+      {title}
+    </h2>
+    {description && <p className="text-sm text-gray-600 mt-1">{description}</p>}
+    <div className="flex flex-wrap gap-2 mt-3">
+      {Object.entries(options).map(([value, label]) => (
+        <button
+          key={value}
+          onClick={() => onSelect(value)}
+          className={optionClass(String(selected) === value)}
+          aria-pressed={String(selected) === value}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * User preferences: refresh interval, clock, units, walking speed, stop list
+ * order, home location and unmonitored arrivals
+ */
+export default function SettingsPage() {
+  const navigate = useNavigate();
+  const preferences = usePreferences();
+  const walkingSpeed = useWalkingSpeed();
+  const [stops, setStops] = useState([]);
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  const searchIndex = useMemo(() => createStopSearchIndex(stops), [stops]);
+
+  // Stops let the home location be picked by name
+  useEffect(() => {
+    loadBusStops()
+      .then(({ stops }) => setStops(stops))
+      .catch(err => console.error('Error loading bus stops:', err));
+  }, []);
+
+  const handlePickHome = ({ latitude, longitude, label }) => {
+    updatePreferences({
+      homeLocation: {
+        latitude: Number(latitude.toFixed(5)),
+        longitude: Number(longitude.toFixed(5)),
+        label
+      }
+    });
+    setPickerOpen(false);
+  };
+
+  const { homeLocation } = preferences;
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
+      <div className="min-h-screen p-4 pb-8">
+        <div className="max-w-2xl mx-auto">
+
+          {/* Header */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
+            <button
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-green-800 hover:text-green-800 mb-4 font-semibold transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              Back to Bus Stops
+            </button>
+
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <div className="flex items-center gap-2 text-sm mb-2 font-medium text-green-800">
+                  <Settings className="w-4 h-4" />
+                  <span>Saved on this device</span>
+                </div>
+                <h1 className="text-4xl font-bold bg-gradient-to-br from-green-500 to-green-400 bg-clip-text text-transparent">
+                  Settings
+                </h1>
+              </div>
+              <button
+                onClick={resetPreferences}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Reset
+              </button>
+            </div>
+          </div>
+
+          {/* Arrivals */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20 divide-y divide-gray-100">
+            <OptionSetting
+              icon={<RefreshCw className="w-4 h-4 text-green-600" />}
+              title="Refresh arrivals"
+              description="Automatic refreshes more often when a bus is close and less often when the next one is far off."
+              options={REFRESH_INTERVALS}
+              selected={preferences.refreshInterval}
+              onSelect={(value) => updatePreferences({ refreshInterval: value === 'auto' ? value : Number(value) })}
+            />
+
+            <div className="py-4 last:pb-0">
+              <h2 className="text-base font-bold text-gray-900 flex items-center gap-2">
+                <Satellite className="w-4 h-4 text-green-600" />
+                Unmonitored arrivals
+              </h2>
+              <p className="text-sm text-gray-600 mt-1">
+                Buses without a live position are timed from the schedule and can be less accurate.
+              </p>
+              <label className="flex items-center gap-3 mt-3 text-sm font-semibold text-gray-800 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={preferences.showUnmonitored}
+                  onChange={(e) => updatePreferences({ showUnmonitored: e.target.checked })}
+                  className="w-4 h-4 accent-green-600"
+                />
+                Show schedule-based arrivals
+              </label>
+            </div>
+          </div>
+
+          {/* Display */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20 divide-y divide-gray-100">
+            <OptionSetting
+              icon={<Clock className="w-4 h-4 text-green-600" />}
+              title="Clock"
+              description={`Times show as ${formatClockTime(new Date(2024, 0, 1, 17, 45), preferences.clock)}.`}
+              options={CLOCK_FORMATS}
+              selected={preferences.clock}
+              onSelect={(value) => updatePreferences({ clock: value })}
+            />
+            <OptionSetting
+              icon={<Ruler className="w-4 h-4 text-green-600" />}
+              title="Distances"
+              description={`A short walk shows as ${formatDistance(400, preferences.units)}.`}
+              options={DISTANCE_UNITS}
+              selected={preferences.units}
+              onSelect={(value) => updatePreferences({ units: value })}
+            />
+            <OptionSetting
+              icon={<Footprints className="w-4 h-4 text-green-600" />}
+              title="Walking speed"
+              description="Used for walking times and when to leave for a bus."
+              options={Object.fromEntries(Object.entries(WALKING_SPEEDS).map(([key, { label }]) => [key, label]))}
+              selected={walkingSpeed}
+              onSelect={setWalkingSpeed}
+            />
+            <OptionSetting
+              icon={<ArrowUpDown className="w-4 h-4 text-green-600" />}
+              title="Stop list order"
+              options={STOP_SORTS}
+              selected={preferences.defaultSort}
+              onSelect={(value) => updatePreferences({ defaultSort: value })}
+            />
+          </div>
+
+          {/* Home location */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+            <h2 className="text-base font-bold text-gray-900 flex items-center gap-2">
+              <Home className="w-4 h-4 text-green-600" />
+              Home location
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Nearby stops are listed from here when your location is unavailable or tracking is paused.
+            </p>
+            <div className="flex items-center justify-between gap-3 mt-3 flex-wrap">
+              <span className="text-sm font-semibold text-gray-800">
+                {homeLocation
+                  ? `${homeLocation.label} (${homeLocation.latitude.toFixed(4)}°, ${homeLocation.longitude.toFixed(4)}°)`
+                  : 'Not set'}
+              </span>
+              <div className="flex items-center gap-2">
+                {homeLocation && (
+                  <button
+                    onClick={() => updatePreferences({ homeLocation: null })}
+                    className={optionClass(false)}
+                  >
+                    Remove
+                  </button>
+                )}
+                {!pickerOpen && (
+                  <button onClick={() => setPickerOpen(true)} className={optionClass(true)}>
+                    {homeLocation ? 'Change' : 'Set home'}
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {pickerOpen && (
+            <LocationPicker
+              stops={stops}
+              searchIndex={searchIndex}
+              onPick={handlePickHome}
+              onCancel={() => setPickerOpen(false)}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
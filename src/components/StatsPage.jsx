@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, BarChart3, Download, Trash2, Loader, AlertCircle, Clock } from 'lucide-react';
+import { loadBusStops, getStopByCode } from '../services/busStopsService';
+import { getArrivalHistory, clearArrivalHistory, exportHistoryCsv, exportHistoryJson } from '../services/arrivalHistoryService';
+import { computeServiceStats } from '../services/arrivalStats';
+import { getDashboardPath } from '../utils/paths';
+import { formatClockTime, formatDateTime } from '../utils/time';
+import { usePreferences } from '../hooks/usePreferences';
+
+const formatMinutes = (minutes) => (minutes === null ? '–' : `${minutes.toFixed(1)} min`);
+
+const formatDrift = (minutes) => {
+  if (minutes === null) return '–';
+  return `${minutes >= 0 ? '+' : ''}${minutes.toFixed(1)} min`;
+};
+
+const formatShare = (share) => (share === null ? '–' : `${Math.round(share * 100)}%`);
+
+const formatHour = (hour, clock) => formatClockTime(new Date(2000, 0, 1, hour), clock);
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Reliability statistics for the services at a stop, built from the
+ * arrivals recorded every time the stop is polled
+ */
+export default function StatsPage() {
+  const { busStopCode } = useParams();
+  const navigate = useNavigate();
+  const [records, setRecords] = useState(null);
+  const [error, setError] = useState(null);
+  const [busStop, setBusStop] = useState(null);
+  const [selectedService, setSelectedService] = useState(null);
+  const preferences = usePreferences();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getArrivalHistory(busStopCode)
+      .then(history => {
+        if (!cancelled) setRecords(history);
+      })
+      .catch(err => {
+        console.error('Error loading arrival history:', err);
+        if (!cancelled) setError(err.message || 'Failed to load arrival history.');
+      });
+    loadBusStops()
+      .then(stopIndex => {
+        if (!cancelled) setBusStop(getStopByCode(stopIndex, busStopCode));
+      })
+      .catch(err => console.error('Error loading bus stop details:', err));
+
+    return () => { cancelled = true; };
+  }, [busStopCode]);
+
+  const stats = records ? computeServiceStats(records) : [];
+  const selected = stats.find(service => service.serviceNo === selectedService) || stats[0];
+  const firstPoll = stats.length > 0 ? Math.min(...stats.map(service => service.firstPoll)) : null;
+  const lastPoll = stats.length > 0 ? Math.max(...stats.map(service => service.lastPoll)) : null;
+
+  const handleExport = (format) => {
+    const fileName = `hop-on-sg-history-${busStopCode}.${format}`;
+    if (format === 'csv') {
+      downloadFile(exportHistoryCsv(records), fileName, 'text/csv');
+    } else {
+      downloadFile(exportHistoryJson(records), fileName, 'application/json');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm(`Delete all recorded arrivals for stop ${busStopCode}?`)) return;
+    try {
+      await clearArrivalHistory(busStopCode);
+      setRecords([]);
+    } catch (err) {
+      console.error('Error clearing arrival history:', err);
+      setError(err.message || 'Failed to clear arrival history.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-green-300 via-green-300 to-green-100 overflow-y-auto">
+      <div className="min-h-screen p-4 pb-8">
+        <div className="max-w-2xl mx-auto">
+
+          {/* Header */}
+          <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl p-6 mb-6 border border-white/20">
+            <button
+              onClick={() => navigate(getDashboardPath(busStopCode, busStop?.name))}
+              className="flex items-center gap-2 text-green-800 hover:text-green-800 mb-4 font-semibold transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              Back to Arrivals
+            </button>
+
+            <div className="flex items-center gap-2 text-sm mb-2 font-medium text-green-800">
+              <BarChart3 className="w-4 h-4" />
+              <span>Bus Stop {busStopCode}{busStop ? ` • ${busStop.name}` : ''}</span>
+            </div>
+            <h1 className="text-4xl font-bold bg-gradient-to-br from-green-500 to-green-400 bg-clip-text text-transparent mb-4">
+              Service Reliability
+            </h1>
+
+            {firstPoll !== null && (
+              <div className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+                <Clock className="w-4 h-4 text-green-500" />
+                <span>
+                  Recorded {formatDateTime(firstPoll, preferences.clock)} – {formatDateTime(lastPoll, preferences.clock)}
+                  {' '}• {records.length} service polls
+                </span>
+              </div>
+            )}
+
+            {records && records.length > 0 && (
+              <div className="flex items-center gap-2 flex-wrap">
+                <button
+                  onClick={() => handleExport('csv')}
+                  className="flex items-center gap-1 px-3 py-2 rounded-xl bg-green-50 hover:bg-green-100 text-green-800 text-sm font-semibold transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  CSV
+                </button>
+                <button
+                  onClick={() => handleExport('json')}
+                  className="flex items-center gap-1 px-3 py-2 rounded-xl bg-green-50 hover:bg-green-100 text-green-800 text-sm font-semibold transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  JSON
+                </button>
+                <button
+                  onClick={handleClear}
+                  className="ml-auto flex items-center gap-1 px-3 py-2 rounded-xl text-red-600 hover:bg-red-50 text-sm font-semibold transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Clear history
+                </button>
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20 flex items-center gap-3">
+              <AlertCircle className="w-6 h-6 text-red-600 flex-shrink-0" />
+              <p className="text-sm text-gray-700">{error}</p>
+            </div>
+          )}
+
+          {!records && !error && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
+              <Loader className="w-8 h-8 text-green-600 animate-spin mx-auto mb-4" />
+              <p className="text-gray-600">Loading recorded arrivals...</p>
+            </div>
+          )}
+
+          {records && stats.length === 0 && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-12 text-center border border-white/20">
+              <div className="bg-gray-100 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4">
+                <BarChart3 className="w-10 h-10 text-gray-400" />
+              </div>
+              <p className="text-2xl font-semibold text-gray-900 mb-2">No history yet</p>
+              <p className="text-gray-600">Arrivals are recorded each time this stop refreshes. Keep its dashboard open for a while to build up statistics.</p>
+            </div>
+          )}
+
+          {/* All Services */}
+          {stats.length > 0 && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+              <h3 className="text-lg font-bold text-gray-900 mb-1">All Services</h3>
+              <p className="text-xs text-gray-500 mb-4">
+                Drift is how much later (+) or earlier (−) a bus came than first predicted.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-3 font-semibold">Service</th>
+                      <th className="py-2 pr-3 font-semibold">Median headway</th>
+                      <th className="py-2 pr-3 font-semibold">Avg drift</th>
+                      <th className="py-2 pr-3 font-semibold">GPS tracked</th>
+                      <th className="py-2 font-semibold">Buses seen</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.map(service => (
+                      <tr
+                        key={service.serviceNo}
+                        onClick={() => setSelectedService(service.serviceNo)}
+                        className={`border-b border-gray-100 cursor-pointer transition-colors ${
+                          service === selected ? 'bg-green-50' : 'hover:bg-gray-50'
+                        }`}
+                      >
+                        <td className="py-2 pr-3 font-bold text-green-800">{service.serviceNo}</td>
+                        <td className="py-2 pr-3 text-gray-800">{formatMinutes(service.overall.medianHeadwayMin)}</td>
+                        <td className="py-2 pr-3 text-gray-800">{formatDrift(service.overall.averageDriftMin)}</td>
+                        <td className="py-2 pr-3 text-gray-800">{formatShare(service.overall.monitoredShare)}</td>
+                        <td className="py-2 text-gray-800">{service.overall.arrivalsObserved}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* By Hour */}
+          {selected && (
+            <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+              <h3 className="text-lg font-bold text-gray-900 mb-4">
+                Service {selected.serviceNo} by Hour of Day
+              </h3>
+              <div className="grid grid-cols-3 gap-3 mb-4">
+                <div className="bg-green-50 rounded-2xl p-3 text-center">
+                  <div className="text-xl font-bold text-green-800">{formatMinutes(selected.overall.averageHeadwayMin)}</div>
+                  <div className="text-xs text-gray-600">Avg headway</div>
+                </div>
+                <div className="bg-green-50 rounded-2xl p-3 text-center">
+                  <div className="text-xl font-bold text-green-800">{formatMinutes(selected.overall.averageAbsDriftMin)}</div>
+                  <div className="text-xs text-gray-600">Avg prediction error</div>
+                </div>
+                <div className="bg-green-50 rounded-2xl p-3 text-center">
+                  <div className="text-xl font-bold text-green-800">{formatShare(selected.overall.monitoredShare)}</div>
+                  <div className="text-xs text-gray-600">GPS tracked</div>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-3 font-semibold">Hour</th>
+                      <th className="py-2 pr-3 font-semibold">Avg headway</th>
+                      <th className="py-2 pr-3 font-semibold">Avg drift</th>
+                      <th className="py-2 pr-3 font-semibold">GPS tracked</th>
+                      <th className="py-2 font-semibold">Estimates</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.byHour.map((hour, index) => hour && (
+                      <tr key={index} className="border-b border-gray-100">
+                        <td className="py-2 pr-3 font-semibold text-gray-900">{formatHour(index, preferences.clock)}</td>
+                        <td className="py-2 pr-3 text-gray-800">{formatMinutes(hour.averageHeadwayMin)}</td>
+                        <td className="py-2 pr-3 text-gray-800">{formatDrift(hour.averageDriftMin)}</td>
+                        <td className="py-2 pr-3 text-gray-800">{formatShare(hour.monitoredShare)}</td>
+                        <td className="py-2 text-gray-800">{hour.estimates}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useEffectEvent, useMemo, useRef, useCallback } from 'react';
+
+// Stop cards are placed at this height until they have rendered and been
+// measured, since long names, larger text or a narrow screen make them taller
+const HEADER_HEIGHT = 48;
+const STOP_HEIGHT = 172;
+const ROW_GAP = 16;
+
+// Rows rendered beyond each edge of the viewport, so fast scrolling does not show gaps
+const OVERSCAN_PX = 800;
+
+const rowHeight = (row, measured) => (
+  row.type === 'header' ? HEADER_HEIGHT : measured.get(row.key) ?? STOP_HEIGHT
+);
+
+/**
+ * Index of the last row starting at or above a position
+ */
+const findRowAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+/**
+ * Windowed stop list: every matching stop can be scrolled to, but only the
+ * rows near the viewport are in the DOM. Section headers double as jump markers.
+ * @param {Object} props
+ * @param {Array} props.rows - Result of buildStopListRows()
+ * @param {Function} props.renderStop - Renders the card for a stop
+ * @param {Object} props.scrollRef - Ref to the element that scrolls the page
+ * @param {Function} [props.onEndReached] - Called when the last rows come into view
+ */
+export default function VirtualStopList({ rows, renderStop, scrollRef, onEndReached }) {
+  const listRef = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  // Rendered height of each stop card by row key
+  const [measured, setMeasured] = useState(() => new Map());
+
+  // One observer for every rendered card; a batch of resizes is one update
+  const [resizeObserver] = useState(() => new ResizeObserver(entries => {
+    setMeasured(current => {
+      const changed = entries.filter(entry => current.get(entry.target.dataset.key) !== entry.target.offsetHeight);
+      if (changed.length === 0) return current;
+      const next = new Map(current);
+      changed.forEach(entry => next.set(entry.target.dataset.key, entry.target.offsetHeight));
+      return next;
+    });
+  }));
+  useEffect(() => () => resizeObserver.disconnect(), [resizeObserver]);
+
+  const observeCard = useCallback((element) => {
+    resizeObserver.observe(element);
+    return () => resizeObserver.unobserve(element);
+  }, [resizeObserver]);
+
+  const { offsets, totalHeight } = useMemo(() => {
+    const rowOffsets = [];
+    let position = 0;
+    for (const row of rows) {
+      rowOffsets.push(position);
+      position += rowHeight(row, measured) + ROW_GAP;
+    }
+    return { offsets: rowOffsets, totalHeight: Math.max(position - ROW_GAP, 0) };
+  }, [rows, measured]);
+
+  const headers = rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => row.type === 'header');
+
+  // Track how far the list has scrolled past the top of the scroll container
+  useEffect(() => {
+    const scrollElement = scrollRef.current;
+    if (!scrollElement) return;
+    let frame = null;
+
+    const measure = () => {
+      frame = null;
+      if (!listRef.current) return;
+      const top = scrollElement.getBoundingClientRect().top - listRef.current.getBoundingClientRect().top;
+      setViewport({ top, height: scrollElement.clientHeight });
+    };
+    const scheduleMeasure = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+
+    // Content above the list (favourites, pickers) can grow without a scroll event
+    const resizeObserver = new ResizeObserver(scheduleMeasure);
+    resizeObserver.observe(scrollElement.firstElementChild || scrollElement);
+
+    scheduleMeasure();
+    scrollElement.addEventListener('scroll', scheduleMeasure, { passive: true });
+    window.addEventListener('resize', scheduleMeasure);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      scrollElement.removeEventListener('scroll', scheduleMeasure);
+      window.removeEventListener('resize', scheduleMeasure);
+    };
+  }, [scrollRef]);
+
+  const startIndex = rows.length > 0 ? findRowAt(offsets, viewport.top - OVERSCAN_PX) : 0;
+  const endIndex = rows.length > 0 ? findRowAt(offsets, viewport.top + viewport.height + OVERSCAN_PX) : -1;
+
+  const handleEndReached = useEffectEvent(() => onEndReached?.());
+  useEffect(() => {
+    if (rows.length > 0 && endIndex >= rows.length - 1) handleEndReached();
+  }, [endIndex, rows.length]);
+
+  const jumpTo = (index) => {
+    const scrollElement = scrollRef.current;
+    const listTop = listRef.current.getBoundingClientRect().top - scrollElement.getBoundingClientRect().top;
+    // Leave room for the sticky jump bar
+    scrollElement.scrollTo({ top: scrollElement.scrollTop + listTop + offsets[index] - 64 });
+  };
+
+  return (
+    <>
+      {headers.length > 1 && (
+        <div className="sticky top-0 z-10 mb-4 bg-white/95 backdrop-blur-xl rounded-2xl shadow-lg px-3 py-2 border border-white/20 flex gap-1 overflow-x-auto">
+          {headers.map(({ row, index }) => (
+            <button
+              key={row.key}
+              onClick={() => jumpTo(index)}
+              className="flex-shrink-0 px-2.5 py-1 rounded-lg text-sm font-bold text-green-800 hover:bg-green-50 transition-colors"
+            >
+              {row.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div ref={listRef} className="relative" style={{ height: totalHeight }}>
+        {rows.slice(startIndex, endIndex + 1).map((row, i) => (
+          row.type === 'header' ? (
+            <div
+              key={row.key}
+              className="absolute left-0 right-0 flex items-end px-2 pb-1"
+              style={{ top: offsets[startIndex + i], height: HEADER_HEIGHT }}
+            >
+              <h3 className="text-lg font-bold text-black">{row.label}</h3>
+            </div>
+          ) : (
+            <div
+              key={row.key}
+              ref={observeCard}
+              data-key={row.key}
+              className="absolute left-0 right-0"
+              style={{ top: offsets[startIndex + i] }}
+            >
+              {renderStop(row.stop)}
+            </div>
+          )
+        ))}
+      </div>
+    </>
+  );
+}
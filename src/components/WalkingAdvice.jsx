@@ -0,0 +1,58 @@
+import React from 'react';
+import { Footprints } from 'lucide-react';
+import { formatDistance } from '../utils/geo';
+import { usePreferences } from '../hooks/usePreferences';
+import { WALKING_SPEEDS, setWalkingSpeed } from '../services/walkingService';
+
+/**
+ * Walk to the stop and when to leave for the soonest bus worth walking for
+ * @param {Object} props
+ * @param {number} props.distanceM - Straight-line distance from the user to the stop
+ * @param {number} props.walkMs - Estimated walking time
+ * @param {string} props.speed - Key of WALKING_SPEEDS
+ * @param {Array<{serviceNo: string, advice: Object}>} props.advice - Leave advice per service
+ */
+export default function WalkingAdvice({ distanceM, walkMs, speed, advice }) {
+  const { units } = usePreferences();
+  const walkMinutes = Math.max(1, Math.round(walkMs / 60000));
+  const soonest = advice
+    .filter(item => item.advice !== null)
+    .sort((a, b) => new Date(a.advice.arrival.estimatedArrival) - new Date(b.advice.arrival.estimatedArrival))[0];
+
+  return (
+    <div className="bg-white/95 backdrop-blur-xl rounded-3xl shadow-xl p-6 mb-6 border border-white/20">
+      <div className="flex items-center justify-between gap-3 flex-wrap mb-3">
+        <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+          <Footprints className="w-5 h-5 text-green-600" />
+          {formatDistance(distanceM, units)} away • ~{walkMinutes} min walk
+        </h3>
+        <div className="flex items-center gap-1">
+          {Object.entries(WALKING_SPEEDS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setWalkingSpeed(key)}
+              className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors ${
+                speed === key
+                  ? 'bg-green-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {soonest ? (
+        <p className={`text-sm font-semibold ${soonest.advice.status === 'tight' ? 'text-amber-700' : 'text-green-800'}`}>
+          {soonest.advice.leaveInMinutes === 0
+            ? `Leave now for ${soonest.serviceNo}`
+            : `Leave in ${soonest.advice.leaveInMinutes} min for ${soonest.serviceNo}`}
+          {soonest.advice.status === 'tight' && ' (it will be tight)'}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-600">None of the listed buses can be reached in time.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getAlerts, subscribeAlerts } from '../services/alertsService';
+
+/**
+ * Armed arrival alerts, re-rendering whenever they change
+ */
+export const useAlerts = () => {
+  return useSyncExternalStore(subscribeAlerts, getAlerts);
+};
@@ -0,0 +1,19 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { getArrivalsSnapshot, subscribeArrivals } from '../services/arrivalsStore';
+
+const noSubscription = () => () => {};
+
+/**
+ * Shared arrivals for a stop, kept refreshed while the component is mounted
+ * @param {string|null} busStopCode - Nothing is fetched while this is empty
+ */
+export const useBusArrivals = (busStopCode) => {
+  const subscribe = useCallback(
+    (listener) => subscribeArrivals(busStopCode, listener),
+    [busStopCode]
+  );
+  return useSyncExternalStore(
+    busStopCode ? subscribe : noSubscription,
+    () => getArrivalsSnapshot(busStopCode)
+  );
+};
@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getFavourites, subscribeFavourites } from '../services/favouritesService';
+
+/**
+ * Favourite stops and services, re-rendering whenever they change
+ */
+export const useFavourites = () => {
+  return useSyncExternalStore(subscribeFavourites, getFavourites);
+};
@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getPreferences, subscribePreferences } from '../services/preferencesService';
+
+/**
+ * The user's preferences, re-rendering whenever they change
+ */
+export const usePreferences = () => {
+  return useSyncExternalStore(subscribePreferences, getPreferences);
+};
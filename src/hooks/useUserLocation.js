@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getUserLocation, subscribeUserLocation } from '../services/locationService';
+
+/**
+ * The user's last known GPS fix, re-rendering whenever it changes
+ */
+export const useUserLocation = () => {
+  return useSyncExternalStore(subscribeUserLocation, getUserLocation);
+};
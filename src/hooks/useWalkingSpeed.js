@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getWalkingSpeed, subscribeWalkingSpeed } from '../services/walkingService';
+
+/**
+ * The chosen walking speed, re-rendering whenever it changes
+ */
+export const useWalkingSpeed = () => {
+  return useSyncExternalStore(subscribeWalkingSpeed, getWalkingSpeed);
+};
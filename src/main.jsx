@@ -2,12 +2,40 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ConfigErrorPage from './components/ConfigErrorPage.jsx'
 import { BrowserRouter } from 'react-router-dom'
+import { loadConfig, isFeatureEnabled } from './services/runtimeConfig'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <BrowserRouter basename="/hop_on_sg_tracker">
-      <App />
-    </BrowserRouter>
-  </StrictMode>
-)
+const root = createRoot(document.getElementById('root'));
+
+// Offline support; only in builds, so dev server changes are never served stale
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+  if (!isFeatureEnabled('offline')) {
+    // A deployment that turned offline support off should stop serving old caches too
+    navigator.serviceWorker.getRegistrations()
+      .then(registrations => registrations.forEach(registration => registration.unregister()));
+    return;
+  }
+  navigator.serviceWorker
+    .register(new URL('sw.js', document.baseURI))
+    .catch(error => console.error('Service worker registration failed:', error));
+};
+
+// Every page reads config.json settings, so nothing renders until it is loaded
+loadConfig()
+  .then(({ basePath }) => {
+    root.render(
+      <StrictMode>
+        <BrowserRouter basename={basePath}>
+          <App />
+        </BrowserRouter>
+      </StrictMode>
+    );
+    registerServiceWorker();
+  })
+  .catch(error => {
+    console.error(error);
+    root.render(<ConfigErrorPage error={error} />);
+  });
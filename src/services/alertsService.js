@@ -0,0 +1,224 @@
+/**
+ * Arrival Alerts Service
+ * "Notify me when bus X is N minutes away" alerts, stored in localStorage
+ * and checked by polling arrivals while the app is open
+ */
+import { getArrivalCountdown } from './ltaApiService';
+import { loadArrivals } from './arrivalsStore';
+
+const STORAGE_KEY = 'hopOnSg.alerts';
+const CLAIM_LOCK = 'hopOnSg.alerts';
+const POLL_INTERVAL_MS = 20000;
+
+export const ALERT_THRESHOLDS = [1, 2, 3, 5, 10];
+
+const listeners = new Set();
+let cached = null;
+
+const readAlerts = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeAlerts = (alerts) => {
+  cached = alerts;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(alerts));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Armed alerts; the same array is returned until they change
+ * @returns {Array<{id: string, busStopCode: string, busStopName: string, serviceNo: string, thresholdMinutes: number}>}
+ */
+export const getAlerts = () => {
+  if (!cached) cached = readAlerts();
+  return cached;
+};
+
+/**
+ * Subscribe to alert changes, including changes made in other tabs
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeAlerts = (listener) => {
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    cached = null;
+    listener();
+  };
+
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
+
+/**
+ * Arm an alert, replacing any existing alert for the same service and stop
+ * Asks for notification permission the first time
+ */
+export const addAlert = ({ busStopCode, busStopName, serviceNo, thresholdMinutes }) => {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+
+  const alerts = getAlerts().filter(alert =>
+    !(alert.busStopCode === busStopCode && alert.serviceNo === serviceNo)
+  );
+  writeAlerts([
+    ...alerts,
+    {
+      id: `${busStopCode}-${serviceNo}-${Date.now()}`,
+      busStopCode,
+      busStopName,
+      serviceNo,
+      thresholdMinutes
+    }
+  ]);
+};
+
+/**
+ * Cancel an alert
+ */
+export const removeAlert = (id) => {
+  writeAlerts(getAlerts().filter(alert => alert.id !== id));
+};
+
+/**
+ * Remove a due alert, reporting whether this tab is the one that removed it
+ * Every open tab checks the same alerts; under the lock the fresh read and
+ * the removal are one step, so only one tab chimes and notifies per alert
+ * @returns {Promise<boolean>}
+ */
+const claimAlert = async (id) => {
+  const take = () => {
+    const alerts = readAlerts();
+    if (!alerts.some(alert => alert.id === id)) return false;
+    writeAlerts(alerts.filter(alert => alert.id !== id));
+    return true;
+  };
+
+  if (!navigator.locks) return take();
+  return navigator.locks.request(CLAIM_LOCK, take);
+};
+
+/**
+ * Short beep so the alert is noticed with the screen off or the tab hidden
+ */
+const playChime = () => {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.6);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start();
+    oscillator.stop(context.currentTime + 0.6);
+    oscillator.onended = () => context.close();
+  } catch (error) {
+    console.error('Error playing alert sound:', error);
+  }
+};
+
+/**
+ * Raise the browser notification for an alert
+ */
+const notify = async (alert, countdown) => {
+  const title = countdown.status === 'arriving'
+    ? `Bus ${alert.serviceNo} is arriving`
+    : `Bus ${alert.serviceNo} is ${countdown.minutes} min away`;
+  const options = {
+    body: `At ${alert.busStopName} (${alert.busStopCode})`,
+    tag: alert.id,
+    vibrate: [200, 100, 200]
+  };
+
+  playChime();
+  navigator.vibrate?.(options.vibrate);
+
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+  try {
+    // Mobile browsers only allow notifications through the service worker
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+};
+
+/**
+ * Check arrivals for every stop with an alert and fire the ones that are due
+ */
+const checkAlerts = async () => {
+  const alerts = getAlerts();
+  if (alerts.length === 0) return;
+
+  const stopCodes = [...new Set(alerts.map(alert => alert.busStopCode))];
+  const results = await Promise.allSettled(stopCodes.map(code => loadArrivals(code)));
+  const now = new Date();
+
+  results.forEach((result, i) => {
+    if (result.status !== 'fulfilled') return;
+
+    alerts
+      .filter(alert => alert.busStopCode === stopCodes[i])
+      .forEach(alert => {
+        const bus = result.value.buses.find(b => b.number === alert.serviceNo);
+        const countdown = bus?.arrivals
+          .filter(arrival => arrival !== null)
+          .map(arrival => getArrivalCountdown(arrival.estimatedArrival, now))
+          .find(c => c.status !== 'departed');
+
+        if (!countdown) return;
+        if (countdown.status === 'arriving' || countdown.minutes <= alert.thresholdMinutes) {
+          claimAlert(alert.id)
+            .then(claimed => claimed && notify(alert, countdown))
+            .catch(error => console.error('Error claiming arrival alert:', error));
+        }
+      });
+  });
+};
+
+/**
+ * Start polling for armed alerts
+ * @returns {Function} Stop polling
+ */
+export const startAlertMonitor = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await checkAlerts();
+    } catch (error) {
+      console.error('Error checking arrival alerts:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const interval = setInterval(tick, POLL_INTERVAL_MS);
+  // Check straight away when an alert is armed instead of waiting for the next poll
+  listeners.add(tick);
+
+  return () => {
+    clearInterval(interval);
+    listeners.delete(tick);
+  };
+};
@@ -0,0 +1,112 @@
+/**
+ * Arrivals API errors
+ * One class per way fetching arrivals can fail, so pages can tell a
+ * misconfigured server from a passing outage and word the message to match
+ */
+
+/**
+ * Base class for every arrivals failure
+ * retryable is true when the same request may succeed if tried again later
+ */
+export class ArrivalsApiError extends Error {
+  constructor(message, { retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.retryable = retryable;
+  }
+}
+
+/** The proxy has no DataMall AccountKey configured */
+export class MissingApiKeyError extends ArrivalsApiError {
+  constructor() {
+    super('The arrivals server has no LTA DataMall key. Start the proxy with LTA_API_KEY set.');
+  }
+}
+
+/** DataMall rejected the AccountKey the proxy sent */
+export class InvalidApiKeyError extends ArrivalsApiError {
+  constructor() {
+    super('LTA DataMall rejected the API key. Check LTA_API_KEY on the arrivals server.');
+  }
+}
+
+/** Too many requests, either to the proxy or from the proxy to DataMall */
+export class RateLimitError extends ArrivalsApiError {
+  /**
+   * @param {number|null} retryAfterMs - Wait requested by the server, if it sent one
+   */
+  constructor(retryAfterMs = null) {
+    super('Too many requests for arrival times.', { retryable: true });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** The proxy cannot be reached, or it cannot reach DataMall */
+export class ProxyUnavailableError extends ArrivalsApiError {
+  constructor(cause) {
+    super('The arrivals server is not responding.', { retryable: true, cause });
+  }
+}
+
+/** The device has no network connection */
+export class OfflineError extends ArrivalsApiError {
+  constructor(cause) {
+    super('You appear to be offline.', { retryable: true, cause });
+  }
+}
+
+/** The response was not the BusArrival JSON we expect */
+export class MalformedResponseError extends ArrivalsApiError {
+  constructor(detail) {
+    super('Received unreadable arrival data.', { retryable: true });
+    this.detail = detail;
+  }
+}
+
+/**
+ * Read Retry-After, which is either a number of seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Turn a failed fetch() call into a typed error
+ * fetch rejects with a TypeError when the request never got a response
+ * @param {Error} error - What fetch() rejected with
+ * @returns {ArrivalsApiError}
+ */
+export const errorFromNetworkFailure = (error) => (
+  navigator.onLine === false ? new OfflineError(error) : new ProxyUnavailableError(error)
+);
+
+/**
+ * Turn a non-2xx proxy response into a typed error
+ * @param {Response} response - The failed response
+ * @param {Object|null} body - Its JSON body, when it had one
+ * @returns {ArrivalsApiError}
+ */
+export const errorFromResponse = (response, body) => {
+  if (body?.code === 'missing_key') return new MissingApiKeyError();
+
+  switch (response.status) {
+    case 401:
+    case 403:
+      return new InvalidApiKeyError();
+    case 429:
+      return new RateLimitError(parseRetryAfter(response.headers.get('Retry-After')));
+    case 502:
+    case 503:
+    case 504:
+      return new ProxyUnavailableError(new Error(body?.error || response.statusText));
+    default:
+      return new ArrivalsApiError(body?.error || `API Error: ${response.status} ${response.statusText}`, {
+        retryable: response.status >= 500
+      });
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Arrival Filters
+ * Dashboard filter and sort options, read from and written to query parameters
+ * so a filtered dashboard can be bookmarked
+ */
+import { getArrivalCountdown } from './ltaApiService';
+
+export const OPERATORS = ['SBST', 'SMRT', 'TTS', 'GAS'];
+export const SORT_OPTIONS = ['service', 'arrival'];
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Read a 1/0 flag, falling back when it is absent
+ */
+const readFlag = (value, fallback) => (value === '1' ? true : value === '0' ? false : fallback);
+
+/**
+ * Read filters from the dashboard query string
+ * ?hideServices=190,972&hideOperators=SMRT&wab=1&seats=1&monitored=1&sort=arrival
+ * @param {URLSearchParams} searchParams
+ * @param {Object} [defaults]
+ * @param {boolean} [defaults.monitoredOnly] - Used when the URL does not say; follows the user's preferences
+ */
+export const parseArrivalFilters = (searchParams, { monitoredOnly = false } = {}) => {
+  const sort = searchParams.get('sort');
+  return {
+    hiddenServices: splitList(searchParams.get('hideServices')),
+    hiddenOperators: splitList(searchParams.get('hideOperators')).filter(op => OPERATORS.includes(op)),
+    wheelchairOnly: searchParams.get('wab') === '1',
+    seatsOnly: searchParams.get('seats') === '1',
+    monitoredOnly: readFlag(searchParams.get('monitored'), monitoredOnly),
+    sort: SORT_OPTIONS.includes(sort) ? sort : 'service'
+  };
+};
+
+/**
+ * Write filters back to query parameters, leaving defaults out of the URL
+ * @param {Object} filters - Result of parseArrivalFilters()
+ * @param {Object} [defaults] - The defaults they were parsed with
+ * @returns {URLSearchParams}
+ */
+export const serializeArrivalFilters = (filters, { monitoredOnly = false } = {}) => {
+  const params = new URLSearchParams();
+  if (filters.hiddenServices.length > 0) params.set('hideServices', filters.hiddenServices.join(','));
+  if (filters.hiddenOperators.length > 0) params.set('hideOperators', filters.hiddenOperators.join(','));
+  if (filters.wheelchairOnly) params.set('wab', '1');
+  if (filters.seatsOnly) params.set('seats', '1');
+  if (filters.monitoredOnly !== monitoredOnly) params.set('monitored', filters.monitoredOnly ? '1' : '0');
+  if (filters.sort !== 'service') params.set('sort', filters.sort);
+  return params;
+};
+
+/**
+ * Whether any filter hides something
+ */
+export const hasActiveFilters = (filters) => {
+  return filters.hiddenServices.length > 0 ||
+         filters.hiddenOperators.length > 0 ||
+         filters.wheelchairOnly ||
+         filters.seatsOnly ||
+         filters.monitoredOnly;
+};
+
+/**
+ * Time until a service's next bus that has not yet left, for sorting
+ */
+const nextArrivalMs = (bus, now) => {
+  const upcoming = bus.arrivals
+    .filter(arrival => arrival !== null)
+    .filter(arrival => getArrivalCountdown(arrival.estimatedArrival, now).status !== 'departed')
+    .map(arrival => new Date(arrival.estimatedArrival) - now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : Infinity;
+};
+
+/**
+ * Apply filters and sorting to parsed arrivals
+ * Arrivals that fail the accessibility, load or monitored filter are removed
+ * and the rest move up, so the next matching bus fills the first slot;
+ * services left with no arrivals are dropped
+ * @param {Array} buses - Buses from fetchBusArrivals()
+ * @param {Object} filters - Result of parseArrivalFilters()
+ * @param {Date} now - Reference time for sorting by next arrival
+ */
+export const applyArrivalFilters = (buses, filters, now) => {
+  const filtered = buses
+    .filter(bus => !filters.hiddenServices.includes(bus.number))
+    .filter(bus => !filters.hiddenOperators.includes(bus.operator))
+    .map(bus => {
+      const arrivals = bus.arrivals.filter(arrival =>
+        arrival !== null &&
+        (!filters.wheelchairOnly || arrival.wheelchairAccessible) &&
+        (!filters.seatsOnly || arrival.load === 'low') &&
+        (!filters.monitoredOnly || arrival.monitored)
+      );
+      return {
+        ...bus,
+        arrivals: [...arrivals, ...Array(bus.arrivals.length - arrivals.length).fill(null)]
+      };
+    })
+    .filter(bus => bus.arrivals[0] !== null);
+
+  if (filters.sort === 'arrival') {
+    return filtered.sort((a, b) => nextArrivalMs(a, now) - nextArrivalMs(b, now));
+  }
+  return filtered.sort((a, b) => a.number.localeCompare(b.number, undefined, { numeric: true }));
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parseArrivalFilters, serializeArrivalFilters, hasActiveFilters, applyArrivalFilters } from './arrivalFilters';
+
+const parse = (query, defaults) => parseArrivalFilters(new URLSearchParams(query), defaults);
+
+describe('parseArrivalFilters', () => {
+  it('reads every filter from the query string', () => {
+    expect(parse('hideServices=190,972&hideOperators=SMRT&wab=1&seats=1&monitored=1&sort=arrival')).toEqual({
+      hiddenServices: ['190', '972'],
+      hiddenOperators: ['SMRT'],
+      wheelchairOnly: true,
+      seatsOnly: true,
+      monitoredOnly: true,
+      sort: 'arrival'
+    });
+  });
+
+  it('ignores unknown operators and sort orders', () => {
+    const filters = parse('hideOperators=SMRT,XYZ&sort=distance');
+    expect(filters.hiddenOperators).toEqual(['SMRT']);
+    expect(filters.sort).toBe('service');
+  });
+
+  it('lets the URL override the monitored default either way', () => {
+    expect(parse('', { monitoredOnly: true }).monitoredOnly).toBe(true);
+    expect(parse('monitored=0', { monitoredOnly: true }).monitoredOnly).toBe(false);
+    expect(parse('monitored=1').monitoredOnly).toBe(true);
+  });
+});
+
+describe('serializeArrivalFilters', () => {
+  it('round-trips through the query string', () => {
+    const query = 'hideServices=190%2C972&hideOperators=SMRT&wab=1&seats=1&monitored=1&sort=arrival';
+    expect(serializeArrivalFilters(parse(query)).toString()).toBe(query);
+  });
+
+  it('leaves defaults out of the URL', () => {
+    expect(serializeArrivalFilters(parse('')).toString()).toBe('');
+    expect(serializeArrivalFilters(parse('', { monitoredOnly: true }), { monitoredOnly: true }).toString()).toBe('');
+  });
+
+  it('writes monitored=0 only when it differs from an on default', () => {
+    const defaults = { monitoredOnly: true };
+    expect(serializeArrivalFilters(parse('monitored=0', defaults), defaults).toString()).toBe('monitored=0');
+  });
+});
+
+describe('hasActiveFilters', () => {
+  it('is false for the defaults and true once anything is hidden', () => {
+    expect(hasActiveFilters(parse(''))).toBe(false);
+    expect(hasActiveFilters(parse('seats=1'))).toBe(true);
+  });
+});
+
+describe('applyArrivalFilters', () => {
+  const now = new Date('2026-10-19T08:00:00+08:00');
+  const arrival = (minutes, extra = {}) => ({
+    estimatedArrival: new Date(now.getTime() + minutes * 60000).toISOString(),
+    wheelchairAccessible: true,
+    load: 'low',
+    monitored: true,
+    ...extra
+  });
+  const buses = [
+    { number: '190', operator: 'SBST', arrivals: [arrival(9), arrival(20), null] },
+    { number: '36', operator: 'SBST', arrivals: [arrival(4, { load: 'high' }), arrival(12), null] },
+    { number: '972', operator: 'SMRT', arrivals: [arrival(2), null, null] }
+  ];
+  const numbers = (result) => result.map(bus => bus.number);
+
+  it('sorts by service number, numerically', () => {
+    expect(numbers(applyArrivalFilters(buses, parse(''), now))).toEqual(['36', '190', '972']);
+  });
+
+  it('sorts by the next arrival', () => {
+    expect(numbers(applyArrivalFilters(buses, parse('sort=arrival'), now))).toEqual(['972', '36', '190']);
+  });
+
+  it('hides services and operators', () => {
+    expect(numbers(applyArrivalFilters(buses, parse('hideServices=36&hideOperators=SMRT'), now))).toEqual(['190']);
+  });
+
+  it('moves the next matching bus into the first slot', () => {
+    const [service36] = applyArrivalFilters(buses, parse('seats=1'), now);
+    expect(service36.arrivals).toEqual([buses[1].arrivals[1], null, null]);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Arrival History Service
+ * Records every arrivals poll in IndexedDB so service reliability can be
+ * worked out afterwards from what the predictions said over time
+ */
+
+const DB_NAME = 'hopOnSg';
+const DB_VERSION = 1;
+const STORE_NAME = 'arrivalHistory';
+
+// Old polls are dropped so the database does not grow without bound
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+let pruned = false;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Every key for a stop; service numbers are short strings that sort before '\uffff'
+const stopKeyRange = (busStopCode) => IDBKeyRange.bound([busStopCode, ''], [busStopCode, '\uffff']);
+
+/**
+ * Open the history database, creating the store on first use
+ * The connection is shared; a failed open is retried on the next call
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // One record per service per poll, keyed by stop, service and poll time
+        const store = request.result.createObjectStore(STORE_NAME, {
+          keyPath: ['busStopCode', 'serviceNo', 'timestamp']
+        });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Delete polls older than the retention period
+ */
+const pruneHistory = async (db) => {
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const index = transaction.objectStore(STORE_NAME).index('timestamp');
+  const cursorRequest = index.openCursor(IDBKeyRange.upperBound(Date.now() - RETENTION_MS));
+
+  await new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+};
+
+/**
+ * Store one arrivals poll
+ * @param {Object} data - Result of fetchBusArrivals()
+ */
+export const recordArrivalHistory = async (data) => {
+  const db = await openDatabase();
+  const timestamp = new Date(data.timestamp).getTime();
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  data.buses.forEach(bus => {
+    store.put({
+      busStopCode: data.busStopCode,
+      serviceNo: bus.number,
+      timestamp,
+      arrivals: bus.arrivals
+        .filter(arrival => arrival !== null)
+        .map(arrival => ({
+          estimatedArrival: new Date(arrival.estimatedArrival).getTime(),
+          monitored: arrival.monitored,
+          load: arrival.load,
+          type: arrival.type
+        }))
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+  if (!pruned) {
+    pruned = true;
+    await pruneHistory(db);
+  }
+};
+
+/**
+ * Every recorded poll for a stop, oldest first within each service
+ * @param {string} busStopCode - Bus stop code
+ * @returns {Promise<Array<{busStopCode: string, serviceNo: string, timestamp: number, arrivals: Array}>>}
+ */
+export const getArrivalHistory = async (busStopCode) => {
+  const db = await openDatabase();
+  const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+  return requestToPromise(store.getAll(stopKeyRange(busStopCode)));
+};
+
+/**
+ * Forget all recorded polls for a stop
+ */
+export const clearArrivalHistory = async (busStopCode) => {
+  const db = await openDatabase();
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  await requestToPromise(store.delete(stopKeyRange(busStopCode)));
+};
+
+/**
+ * History as JSON for download
+ */
+export const exportHistoryJson = (records) => {
+  return JSON.stringify(records.map(record => ({
+    ...record,
+    timestamp: new Date(record.timestamp).toISOString(),
+    arrivals: record.arrivals.map(arrival => ({
+      ...arrival,
+      estimatedArrival: new Date(arrival.estimatedArrival).toISOString()
+    }))
+  })), null, 2);
+};
+
+/**
+ * History as CSV for download, one row per predicted bus per poll
+ */
+export const exportHistoryCsv = (records) => {
+  const header = 'BusStopCode,ServiceNo,PolledAt,Slot,EstimatedArrival,Monitored,Load,Type';
+  const rows = records.flatMap(record =>
+    record.arrivals.map((arrival, slot) => [
+      record.busStopCode,
+      record.serviceNo,
+      new Date(record.timestamp).toISOString(),
+      slot + 1,
+      new Date(arrival.estimatedArrival).toISOString(),
+      arrival.monitored ? 1 : 0,
+      arrival.load,
+      `"${arrival.type}"`
+    ].join(','))
+  );
+  return [header, ...rows].join('\n');
+};
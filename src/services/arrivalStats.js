@@ -0,0 +1,139 @@
+/**
+ * Arrival Stats
+ * Works out observed headways, prediction drift and monitored share from
+ * recorded arrival polls (see arrivalHistoryService)
+ */
+
+// Polls further apart than this break the chain; a bus may have come and gone unseen
+const MAX_POLL_GAP_MS = 5 * 60 * 1000;
+
+/**
+ * Find the buses seen arriving in a service's polls
+ * A bus has arrived when the first slot moves on to the bus that was second.
+ * Its arrival time is its last estimate, limited to the window between the
+ * last poll that showed it and the first poll that did not.
+ * @param {Array} polls - One service's records, sorted by timestamp
+ * @returns {Array<{arrivedAt: number, firstPrediction: number, predictedAt: number, continuous: boolean}>}
+ */
+const detectArrivals = (polls) => {
+  const arrivals = [];
+  // Earliest prediction seen for the bus currently in the first slot
+  let tracking = null;
+  let continuous = false;
+
+  polls.forEach((poll, i) => {
+    const first = poll.arrivals[0];
+    const previous = polls[i - 1];
+
+    if (!previous || poll.timestamp - previous.timestamp > MAX_POLL_GAP_MS) {
+      tracking = first ? { firstPrediction: first.estimatedArrival, predictedAt: poll.timestamp } : null;
+      continuous = false;
+      return;
+    }
+
+    const before = previous.arrivals[0];
+    const nextBefore = previous.arrivals[1];
+    const moved = before && (!first || (nextBefore &&
+      Math.abs(first.estimatedArrival - nextBefore.estimatedArrival) <
+      Math.abs(first.estimatedArrival - before.estimatedArrival)));
+
+    if (moved) {
+      const arrivedAt = Math.min(Math.max(before.estimatedArrival, previous.timestamp), poll.timestamp);
+      if (tracking) {
+        arrivals.push({ arrivedAt, ...tracking, continuous });
+      }
+      // The previous chain was unbroken, so the next headway can be trusted
+      continuous = true;
+      tracking = first ? { firstPrediction: first.estimatedArrival, predictedAt: poll.timestamp } : null;
+    } else if (!tracking && first) {
+      tracking = { firstPrediction: first.estimatedArrival, predictedAt: poll.timestamp };
+    }
+  });
+
+  return arrivals;
+};
+
+const average = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Summarise headway, drift and monitored share for a set of samples
+ */
+const summarise = ({ headways, drifts, monitored, scheduled }) => ({
+  headwayCount: headways.length,
+  averageHeadwayMin: average(headways),
+  medianHeadwayMin: median(headways),
+  // Positive drift means the bus came later than first predicted
+  averageDriftMin: average(drifts),
+  averageAbsDriftMin: average(drifts.map(Math.abs)),
+  arrivalsObserved: drifts.length,
+  monitoredShare: monitored + scheduled > 0 ? monitored / (monitored + scheduled) : null,
+  estimates: monitored + scheduled
+});
+
+const emptySamples = () => ({ headways: [], drifts: [], monitored: 0, scheduled: 0 });
+
+/**
+ * Reliability statistics per service, overall and by hour of day
+ * @param {Array} records - Result of getArrivalHistory()
+ * @returns {Array<{serviceNo: string, polls: number, firstPoll: number, lastPoll: number, overall: Object, byHour: Array<Object|null>}>}
+ */
+export const computeServiceStats = (records) => {
+  const byService = new Map();
+  records.forEach(record => {
+    if (!byService.has(record.serviceNo)) byService.set(record.serviceNo, []);
+    byService.get(record.serviceNo).push(record);
+  });
+
+  return [...byService.entries()]
+    .map(([serviceNo, polls]) => {
+      polls.sort((a, b) => a.timestamp - b.timestamp);
+
+      const overall = emptySamples();
+      const hours = Array.from({ length: 24 }, emptySamples);
+
+      polls.forEach(poll => {
+        const hour = hours[new Date(poll.timestamp).getHours()];
+        poll.arrivals.forEach(arrival => {
+          const key = arrival.monitored ? 'monitored' : 'scheduled';
+          hour[key] += 1;
+          overall[key] += 1;
+        });
+      });
+
+      let lastArrival = null;
+      detectArrivals(polls).forEach(arrival => {
+        const hour = hours[new Date(arrival.arrivedAt).getHours()];
+        const drift = (arrival.arrivedAt - arrival.firstPrediction) / 60000;
+        hour.drifts.push(drift);
+        overall.drifts.push(drift);
+
+        if (lastArrival !== null && arrival.continuous) {
+          const headway = (arrival.arrivedAt - lastArrival) / 60000;
+          hour.headways.push(headway);
+          overall.headways.push(headway);
+        }
+        lastArrival = arrival.arrivedAt;
+      });
+
+      return {
+        serviceNo,
+        polls: polls.length,
+        firstPoll: polls[0].timestamp,
+        lastPoll: polls[polls.length - 1].timestamp,
+        overall: summarise(overall),
+        byHour: hours.map(samples => (
+          samples.monitored + samples.scheduled > 0 ? summarise(samples) : null
+        ))
+      };
+    })
+    .sort((a, b) => a.serviceNo.localeCompare(b.serviceNo, undefined, { numeric: true }));
+};
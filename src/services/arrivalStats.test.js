@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { computeServiceStats } from './arrivalStats';
+
+const MINUTE = 60000;
+const at = (minutes) => new Date(2026, 9, 19, 8, 0).getTime() + minutes * MINUTE;
+
+/**
+ * Polls once a minute of buses that keep their first estimate until five
+ * minutes out, then predict their real arrival
+ */
+const pollBuses = (buses, minutes, { serviceNo = '190', monitored = true } = {}) => minutes.map(minute => ({
+  busStopCode: '01012',
+  serviceNo,
+  timestamp: at(minute),
+  arrivals: buses
+    .filter(bus => at(bus.arrives) > at(minute))
+    .slice(0, 3)
+    .map(bus => ({
+      estimatedArrival: at(minute >= bus.arrives - 5 ? bus.arrives : bus.firstEstimate),
+      monitored
+    }))
+}));
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// Arrive at 08:12, 08:24 and 08:40, first predicted 2 min early, on time and 2 min late
+const BUSES = [
+  { arrives: 12, firstEstimate: 10 },
+  { arrives: 24, firstEstimate: 24 },
+  { arrives: 40, firstEstimate: 42 },
+  { arrives: 60, firstEstimate: 60 }
+];
+
+describe('computeServiceStats', () => {
+  it('measures headways between buses seen arriving', () => {
+    const [stats] = computeServiceStats(pollBuses(BUSES, range(0, 45)));
+    expect(stats.overall).toMatchObject({
+      headwayCount: 2,
+      averageHeadwayMin: 14,
+      medianHeadwayMin: 14,
+      arrivalsObserved: 3
+    });
+  });
+
+  it('measures drift from the first prediction, later being positive', () => {
+    const [stats] = computeServiceStats(pollBuses(BUSES, range(0, 45)));
+    expect(stats.overall.averageDriftMin).toBe(0);
+    expect(stats.overall.averageAbsDriftMin).toBeCloseTo(4 / 3);
+  });
+
+  it('does not count a headway across a gap in polling', () => {
+    // The 08:24 bus comes and goes while nothing is polled
+    const polls = pollBuses(BUSES, [...range(0, 20), ...range(30, 45)]);
+    const [stats] = computeServiceStats(polls);
+    expect(stats.overall.headwayCount).toBe(0);
+    expect(stats.overall.arrivalsObserved).toBe(2);
+    expect(stats.overall.averageDriftMin).toBe(0);
+  });
+
+  it('groups by hour of day', () => {
+    const [stats] = computeServiceStats(pollBuses(BUSES, range(0, 45)));
+    expect(stats.byHour[8].headwayCount).toBe(2);
+    expect(stats.byHour[9]).toBeNull();
+  });
+
+  it('works out the monitored share of estimates', () => {
+    const polls = [
+      ...pollBuses(BUSES, [0], { monitored: true }),
+      ...pollBuses(BUSES, [1], { monitored: false })
+    ];
+    const [stats] = computeServiceStats(polls);
+    expect(stats.overall.estimates).toBe(6);
+    expect(stats.overall.monitoredShare).toBe(0.5);
+    expect(stats.overall.averageHeadwayMin).toBeNull();
+  });
+
+  it('keeps services apart, in service number order', () => {
+    const polls = [
+      ...pollBuses(BUSES, range(0, 45), { serviceNo: '972' }),
+      ...pollBuses(BUSES.slice(0, 2), range(0, 30), { serviceNo: '36' })
+    ];
+    const stats = computeServiceStats(polls);
+    expect(stats.map(service => service.serviceNo)).toEqual(['36', '972']);
+    expect(stats[0]).toMatchObject({ polls: 31, firstPoll: at(0), lastPoll: at(30) });
+    expect(stats[0].overall.headwayCount).toBe(1);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Arrivals Cache Service
+ * Keeps the most recent arrivals per stop in localStorage so the dashboard
+ * can show them when the network is down
+ */
+
+const STORAGE_PREFIX = 'hopOnSg.arrivals.';
+
+/**
+ * Remember the latest successful fetch for a stop
+ * @param {string} busStopCode - Bus stop code
+ * @param {Object} data - Result of fetchBusArrivals()
+ */
+export const saveLastKnownArrivals = (busStopCode, data) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + busStopCode, JSON.stringify(data));
+  } catch (error) {
+    // Storage full or disabled; offline fallback is best effort
+    console.error('Error caching bus arrivals:', error);
+  }
+};
+
+/**
+ * Get the last arrivals fetched for a stop
+ * @returns {Object|null} Result of fetchBusArrivals() with its timestamp, or null
+ */
+export const getLastKnownArrivals = (busStopCode) => {
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + busStopCode);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
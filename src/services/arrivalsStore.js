@@ -0,0 +1,443 @@
+/**
+ * Arrivals Store
+ * One shared copy of the arrivals for each stop. Pages subscribe through
+ * useBusArrivals(); while anyone is watching a stop the store keeps it
+ * refreshed, merges concurrent requests and serves what it has while it
+ * revalidates
+ *
+ * Polling follows the arrivals unless the user chose a fixed interval:
+ * faster when a bus is about to come, slower when everything is far off,
+ * and not at all for tabs nobody can see
+ *
+ * Across tabs, only the leader tab (see tabCoordinator) polls. Other tabs
+ * tell it which stops they watch and receive its results over the channel,
+ * fetching for themselves only when the leader stops answering
+ */
+import { fetchBusArrivals } from './ltaApiService';
+import { saveLastKnownArrivals, getLastKnownArrivals } from './arrivalsCacheService';
+import { isLeader, joinTabs, postToTabs } from './tabCoordinator';
+import { getPreferences, subscribePreferences } from './preferencesService';
+import { backoffDelay } from '../utils/backoff';
+
+// Refresh interval by how soon the next bus is due; later buses are polled every IDLE_REFRESH_MS
+const REFRESH_STEPS = [
+  { dueWithinMs: 2 * 60 * 1000, intervalMs: 15000 },
+  { dueWithinMs: 10 * 60 * 1000, intervalMs: 30000 },
+  { dueWithinMs: 20 * 60 * 1000, intervalMs: 60000 }
+];
+const IDLE_REFRESH_MS = 2 * 60 * 1000;
+const DEFAULT_REFRESH_MS = 30000;
+
+// Buses this far past their estimate have left and no longer set the pace
+const DEPARTED_AFTER_MS = 30000;
+
+// Arrivals younger than this are shown on mount without fetching again
+const FRESH_FOR_MS = 15000;
+
+// Unwatched arrivals older than this are dropped; their countdowns would mislead
+const MAX_AGE_MS = 5 * 60 * 1000;
+
+// After a failed refresh, polls back off from one refresh interval to five minutes
+const POLL_BACKOFF = { baseMs: DEFAULT_REFRESH_MS, maxMs: 5 * 60 * 1000 };
+
+// How late the leader may be before another tab asks it, and how long that tab
+// waits for an answer before fetching itself
+const LEADER_GRACE_MS = 10000;
+const LEADER_TIMEOUT_MS = 15000;
+
+// Other tabs repeat their watch lists this often; the leader forgets lists it
+// has not heard for a while, in case a tab closed without saying goodbye
+const WATCH_HEARTBEAT_MS = 60000;
+const WATCH_TTL_MS = 3 * WATCH_HEARTBEAT_MS;
+
+const EMPTY_SNAPSHOT = {
+  data: null,
+  error: null,
+  updatedAt: null,
+  staleSince: null,
+  isFetching: false,
+  nextRefreshAt: null
+};
+
+const entries = new Map();
+// Stops other tabs watch, by tab: tabId -> { stops: Set, seenAt }
+const remoteWatches = new Map();
+// Requests waiting for the leader's answer: busStopCode -> { resolve, reject, timer }
+const leaderRequests = new Map();
+let started = false;
+let watchListQueued = false;
+let heartbeat = null;
+
+const getEntry = (busStopCode) => {
+  if (!entries.has(busStopCode)) {
+    entries.set(busStopCode, {
+      snapshot: EMPTY_SNAPSHOT,
+      listeners: new Set(),
+      request: null,
+      timer: null,
+      failures: 0
+    });
+  }
+  return entries.get(busStopCode);
+};
+
+const update = (entry, changes) => {
+  entry.snapshot = { ...entry.snapshot, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+const ageOf = (entry) => (
+  entry.snapshot.updatedAt === null ? Infinity : Date.now() - entry.snapshot.updatedAt
+);
+
+const isFresh = (entry) => !entry.snapshot.error && ageOf(entry) < FRESH_FOR_MS;
+
+const isVisible = () => document.visibilityState !== 'hidden';
+
+/**
+ * How long to wait before refreshing, given the arrivals we have
+ */
+const refreshIntervalFor = (data) => {
+  const { refreshInterval } = getPreferences();
+  if (refreshInterval !== 'auto') return refreshInterval;
+
+  const now = Date.now();
+  const dueIn = (data?.buses || [])
+    .flatMap(bus => bus.arrivals)
+    .filter(arrival => arrival !== null)
+    .map(arrival => Date.parse(arrival.estimatedArrival) - now)
+    .filter(ms => ms > -DEPARTED_AFTER_MS);
+  if (dueIn.length === 0) return DEFAULT_REFRESH_MS;
+
+  const soonest = Math.min(...dueIn);
+  return REFRESH_STEPS.find(step => soonest <= step.dueWithinMs)?.intervalMs ?? IDLE_REFRESH_MS;
+};
+
+const isWatchedRemotely = (busStopCode) => {
+  const now = Date.now();
+  for (const [id, watch] of remoteWatches) {
+    if (now - watch.seenAt > WATCH_TTL_MS) remoteWatches.delete(id);
+    else if (watch.stops.has(busStopCode)) return true;
+  }
+  return false;
+};
+
+// A hidden tab's own pages do not count; the leader still polls for visible tabs
+const isWatched = (busStopCode, entry) => (
+  (entry.listeners.size > 0 && isVisible()) || (isLeader() && isWatchedRemotely(busStopCode))
+);
+
+const setNextRefresh = (entry, nextRefreshAt) => {
+  if (entry.snapshot.nextRefreshAt !== nextRefreshAt) update(entry, { nextRefreshAt });
+};
+
+/**
+ * Plan the next refresh for a watched stop
+ * The leader polls; other tabs only check that the leader's next result
+ * turns up, and ask for it if it does not
+ */
+const schedule = (busStopCode) => {
+  const entry = entries.get(busStopCode);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  entry.timer = null;
+  if (entry.request) return;
+  // A missing or rejected API key will not fix itself; only a manual refresh tries again
+  if (!isWatched(busStopCode, entry) || entry.snapshot.error?.retryable === false) {
+    setNextRefresh(entry, null);
+    return;
+  }
+
+  let delay;
+  if (!isLeader()) {
+    delay = Math.max(0, (entry.snapshot.nextRefreshAt ?? Date.now()) + LEADER_GRACE_MS - Date.now());
+  } else {
+    delay = entry.failures > 0
+      ? Math.max(backoffDelay(entry.failures, POLL_BACKOFF), entry.snapshot.error?.retryAfterMs ?? 0)
+      : Math.max(0, refreshIntervalFor(entry.snapshot.data) - ageOf(entry));
+    setNextRefresh(entry, Date.now() + delay);
+  }
+
+  entry.timer = setTimeout(() => {
+    refreshArrivals(busStopCode).catch(() => {});
+  }, delay);
+};
+
+/**
+ * Send a stop's snapshot to the other tabs
+ * Errors lose their class on the way, so the fields pages read are copied
+ */
+const broadcastSnapshot = (busStopCode) => {
+  const { snapshot } = entries.get(busStopCode);
+  const { error } = snapshot;
+  postToTabs({
+    type: 'arrivals',
+    busStopCode,
+    data: snapshot.data,
+    updatedAt: snapshot.updatedAt,
+    staleSince: snapshot.staleSince,
+    error: error && { name: error.name, message: error.message, retryable: error.retryable, retryAfterMs: error.retryAfterMs },
+    nextRefreshAt: snapshot.nextRefreshAt
+  });
+};
+
+/**
+ * Fetch from the proxy in this tab
+ * A failure keeps the last good arrivals (or the copy saved on an earlier
+ * visit) and marks them stale
+ */
+const fetchHere = (busStopCode) => {
+  const entry = getEntry(busStopCode);
+  return fetchBusArrivals(busStopCode).then(data => {
+    entry.failures = 0;
+    saveLastKnownArrivals(busStopCode, data);
+    update(entry, {
+      data,
+      error: null,
+      updatedAt: Date.parse(data.timestamp),
+      staleSince: null,
+      isFetching: false,
+      // The leader reschedules from this; another tab waits a full interval
+      // before checking on the leader again
+      nextRefreshAt: Date.now() + refreshIntervalFor(data)
+    });
+    return data;
+  }, error => {
+    entry.failures += 1;
+    const { data, updatedAt, staleSince } = entry.snapshot;
+    const cached = data ? null : getLastKnownArrivals(busStopCode);
+
+    const nextRefreshAt = error.retryable === false ? null : Date.now() + DEFAULT_REFRESH_MS;
+    update(entry, cached?.buses.length > 0
+      ? { data: cached, error, updatedAt: Date.parse(cached.timestamp), staleSince: Date.parse(cached.timestamp), isFetching: false, nextRefreshAt }
+      : { error, staleSince: staleSince ?? updatedAt, isFetching: false, nextRefreshAt });
+    throw error;
+  });
+};
+
+/**
+ * Ask the leader tab for fresh arrivals, fetching here if it does not answer in time
+ */
+const fetchFromLeader = (busStopCode) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    leaderRequests.delete(busStopCode);
+    fetchHere(busStopCode).then(resolve, reject);
+  }, LEADER_TIMEOUT_MS);
+  leaderRequests.set(busStopCode, { resolve, reject, timer });
+  postToTabs({ type: 'refresh', busStopCode });
+});
+
+/**
+ * Fetch a stop's arrivals now, joining the request already in flight if there is one
+ * @param {string} busStopCode - Bus stop code
+ * @returns {Promise<Object>} Result of fetchBusArrivals()
+ */
+export const refreshArrivals = (busStopCode) => {
+  start();
+  const entry = getEntry(busStopCode);
+  if (entry.request) return entry.request;
+
+  clearTimeout(entry.timer);
+  update(entry, { isFetching: true });
+
+  entry.request = (isLeader() ? fetchHere(busStopCode) : fetchFromLeader(busStopCode))
+    .finally(() => {
+      entry.request = null;
+      schedule(busStopCode);
+      if (isLeader()) broadcastSnapshot(busStopCode);
+    });
+
+  return entry.request;
+};
+
+/**
+ * A stop's arrivals, fetched only when the shared copy is not fresh
+ * For callers outside React, such as the alert monitor
+ * @param {string} busStopCode - Bus stop code
+ * @returns {Promise<Object>} Result of fetchBusArrivals()
+ */
+export const loadArrivals = (busStopCode) => {
+  const entry = entries.get(busStopCode);
+  if (entry && isFresh(entry)) return Promise.resolve(entry.snapshot.data);
+  return refreshArrivals(busStopCode);
+};
+
+/**
+ * Current arrivals state for a stop; the same object is returned until it changes
+ * @returns {{data: Object|null, error: Error|null, updatedAt: number|null, staleSince: number|null, isFetching: boolean}}
+ */
+export const getArrivalsSnapshot = (busStopCode) => (
+  entries.get(busStopCode)?.snapshot ?? EMPTY_SNAPSHOT
+);
+
+/**
+ * Tell the leader which stops this tab watches, once per burst of changes
+ */
+const queueWatchList = () => {
+  if (watchListQueued) return;
+  watchListQueued = true;
+  queueMicrotask(() => {
+    watchListQueued = false;
+    if (isLeader()) return;
+    const stops = isVisible()
+      ? [...entries].filter(([, entry]) => entry.listeners.size > 0).map(([code]) => code)
+      : [];
+    postToTabs({ type: 'watch', stops });
+  });
+};
+
+/**
+ * Repeat the watch list only while this tab watches a stop; a tab that
+ * watches nothing has nothing to keep alive
+ */
+const updateHeartbeat = () => {
+  const watching = [...entries.values()].some(entry => entry.listeners.size > 0);
+  if (watching && heartbeat === null) {
+    heartbeat = setInterval(queueWatchList, WATCH_HEARTBEAT_MS);
+  } else if (!watching && heartbeat !== null) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+/**
+ * Apply arrivals the leader broadcast, answering any request waiting for them
+ */
+const applyBroadcast = ({ busStopCode, data, updatedAt, staleSince, error, nextRefreshAt }) => {
+  const entry = getEntry(busStopCode);
+  const remoteError = error && Object.assign(new Error(error.message), error);
+
+  update(entry, { data, error: remoteError, updatedAt, staleSince, isFetching: false, nextRefreshAt });
+
+  const waiting = leaderRequests.get(busStopCode);
+  if (waiting) {
+    clearTimeout(waiting.timer);
+    leaderRequests.delete(busStopCode);
+    if (remoteError) waiting.reject(remoteError);
+    else waiting.resolve(data);
+  }
+  schedule(busStopCode);
+};
+
+/**
+ * Leader: answer with what we have when it is fresh, otherwise fetch
+ */
+const serveStop = (busStopCode) => {
+  const entry = getEntry(busStopCode);
+  if (entry.request) return;
+  if (isFresh(entry)) {
+    broadcastSnapshot(busStopCode);
+    schedule(busStopCode);
+  } else {
+    refreshArrivals(busStopCode).catch(() => {});
+  }
+};
+
+const handleTabMessage = (message) => {
+  switch (message.type) {
+    case 'arrivals':
+      if (!isLeader()) applyBroadcast(message);
+      break;
+    case 'refresh':
+      if (isLeader()) serveStop(message.busStopCode);
+      break;
+    case 'watch': {
+      if (!isLeader()) break;
+      const previous = remoteWatches.get(message.from)?.stops || new Set();
+      remoteWatches.set(message.from, { stops: new Set(message.stops), seenAt: Date.now() });
+      message.stops.filter(code => !previous.has(code)).forEach(serveStop);
+      break;
+    }
+    case 'bye':
+      remoteWatches.delete(message.from);
+      break;
+    case 'leader':
+      queueWatchList();
+      break;
+  }
+};
+
+/**
+ * This tab took over polling: answer its own waiting requests and pick up
+ * every stop the other tabs are about to report
+ */
+const handleBecameLeader = () => {
+  leaderRequests.forEach(({ resolve, reject, timer }, busStopCode) => {
+    clearTimeout(timer);
+    leaderRequests.delete(busStopCode);
+    fetchHere(busStopCode).then(resolve, reject);
+  });
+  postToTabs({ type: 'leader' });
+  entries.forEach((entry, busStopCode) => schedule(busStopCode));
+};
+
+// Refresh every watched stop as soon as the connection comes back
+const handleOnline = () => {
+  entries.forEach((entry, busStopCode) => {
+    if (isWatched(busStopCode, entry)) refreshArrivals(busStopCode).catch(() => {});
+  });
+};
+
+// Hidden tabs stop polling; coming back refreshes straight away
+const handleVisibilityChange = () => {
+  queueWatchList();
+  entries.forEach((entry, busStopCode) => {
+    if (entry.listeners.size === 0) return;
+    if (isVisible()) refreshArrivals(busStopCode).catch(() => {});
+    else schedule(busStopCode);
+  });
+};
+
+const start = () => {
+  if (started) return;
+  started = true;
+  window.addEventListener('online', handleOnline);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  // A new refresh interval applies from the next poll
+  subscribePreferences(() => entries.forEach((entry, busStopCode) => schedule(busStopCode)));
+  joinTabs({ onMessage: handleTabMessage, onLeader: handleBecameLeader });
+};
+
+/**
+ * Drop unwatched stops whose arrivals are too old to show
+ */
+const pruneExpired = () => {
+  entries.forEach((entry, busStopCode) => {
+    const watched = entry.listeners.size > 0 || (isLeader() && isWatchedRemotely(busStopCode));
+    if (!watched && !entry.request && ageOf(entry) > MAX_AGE_MS) {
+      clearTimeout(entry.timer);
+      entries.delete(busStopCode);
+    }
+  });
+};
+
+/**
+ * Watch a stop's arrivals; the store keeps them refreshed while anyone is watching
+ * @param {string} busStopCode - Bus stop code
+ * @param {Function} listener - Called whenever the stop's snapshot changes
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeArrivals = (busStopCode, listener) => {
+  start();
+  pruneExpired();
+  const entry = getEntry(busStopCode);
+  entry.listeners.add(listener);
+
+  if (entry.listeners.size === 1) {
+    queueWatchList();
+    updateHeartbeat();
+    if (!entry.request) {
+      if (isFresh(entry)) schedule(busStopCode);
+      else refreshArrivals(busStopCode).catch(() => {});
+    }
+  }
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      queueWatchList();
+      updateHeartbeat();
+      schedule(busStopCode);
+    }
+  };
+};
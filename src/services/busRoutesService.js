@@ -0,0 +1,120 @@
+/**
+ * Bus Routes Service
+ * Loads the LTA BusRoutes dataset (public/data/busroutes.csv, downloaded with
+ * npm run data:routes) and resolves the stops a service will call at after a
+ * given bus stop
+ */
+import { dataUrl, loadCSV } from './csvLoader';
+import { loadBusStops, getStopName } from './busStopsService';
+
+let routesPromise = null;
+
+/**
+ * Group route rows into ordered stop sequences
+ * @returns {Map<string, Map<string, Array>>} ServiceNo -> Direction -> stops
+ */
+const buildRouteIndex = (rows) => {
+  const routes = new Map();
+
+  rows.forEach(row => {
+    const service = row.ServiceNo;
+    const direction = row.Direction;
+    const sequence = parseInt(row.StopSequence, 10);
+    if (!service || !direction || !row.BusStopCode || isNaN(sequence)) return;
+
+    if (!routes.has(service)) routes.set(service, new Map());
+    const directions = routes.get(service);
+    if (!directions.has(direction)) directions.set(direction, []);
+
+    directions.get(direction).push({
+      code: row.BusStopCode,
+      sequence: sequence,
+      distance: parseFloat(row.Distance) || 0
+    });
+  });
+
+  routes.forEach(directions => {
+    directions.forEach(stops => stops.sort((a, b) => a.sequence - b.sequence));
+  });
+
+  return routes;
+};
+
+/**
+ * Load route and stop name data once and share it between callers
+ */
+export const loadBusRoutes = () => {
+  if (!routesPromise) {
+    routesPromise = Promise.all([loadCSV(dataUrl('busroutes.csv')), loadBusStops()])
+      .then(([routeRows, stopIndex]) => {
+        return { routes: buildRouteIndex(routeRows), stopIndex };
+      })
+      .catch(error => {
+        // Allow a later call to retry instead of caching the failure
+        routesPromise = null;
+        throw error;
+      });
+  }
+  return routesPromise;
+};
+
+/**
+ * Pick the direction and position of the current stop for a service
+ * Prefers the direction that terminates at the bus's destination; for loop
+ * services the stop can appear twice, so the earliest boarding point wins
+ */
+const findBoardingPoint = (directions, currentStopCode, destinationCode) => {
+  let best = null;
+
+  directions.forEach(stops => {
+    const lastIndex = stops.length - 1;
+    const index = stops.findIndex((stop, i) => stop.code === currentStopCode && i < lastIndex);
+    if (index === -1) return;
+
+    const candidate = {
+      stops,
+      index,
+      endsAtDestination: stops[lastIndex].code === destinationCode
+    };
+
+    if (!best || (candidate.endsAtDestination && !best.endsAtDestination)) {
+      best = candidate;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Format a distance in kilometres for the route timeline
+ */
+const formatRouteDistance = (km) => `${km.toFixed(1)} km`;
+
+/**
+ * Get the remaining stops of a service after the current stop
+ * @param {Object} routeData - Result of loadBusRoutes()
+ * @param {string} serviceNo - Bus service number (e.g., "190")
+ * @param {string} currentStopCode - Stop the user is viewing
+ * @param {string} destinationCode - DestinationCode reported by BusArrival
+ * @returns {Array} Route stops, starting with the current stop; empty if unknown
+ */
+export const getRemainingRoute = (routeData, serviceNo, currentStopCode, destinationCode) => {
+  const directions = routeData?.routes.get(serviceNo);
+  if (!directions) return [];
+
+  const boarding = findBoardingPoint(directions, currentStopCode, destinationCode);
+  if (!boarding) return [];
+
+  const startDistance = boarding.stops[boarding.index].distance;
+
+  return boarding.stops.slice(boarding.index).map((stop, i) => {
+    const distanceKm = Math.max(stop.distance - startDistance, 0);
+    return {
+      name: getStopName(routeData.stopIndex, stop.code),
+      code: stop.code,
+      status: i === 0 ? 'current' : 'upcoming',
+      distance: formatRouteDistance(distanceKm),
+      distanceKm: distanceKm
+    };
+  });
+};
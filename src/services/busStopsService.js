@@ -0,0 +1,69 @@
+/**
+ * Bus Stops Service
+ * Loads busstops.csv once and answers lookups by bus stop code
+ */
+import { dataUrl, loadCSV } from './csvLoader';
+
+let stopsPromise = null;
+
+/**
+ * Map a CSV row to our stop format
+ */
+const parseStopRow = (row) => ({
+  code: row.BusStopCode || row.busStopCode,
+  name: row.Description || row.description,
+  road: row.RoadName || row.roadName,
+  latitude: parseFloat(row.Latitude || row.latitude),
+  longitude: parseFloat(row.Longitude || row.longitude)
+});
+
+/**
+ * Load all bus stops and index them by code
+ * The result is shared by every caller; a failed load is retried on the next call
+ * @returns {Promise<{stops: Array, byCode: Map<string, Object>}>}
+ */
+export const loadBusStops = () => {
+  if (!stopsPromise) {
+    stopsPromise = loadCSV(dataUrl('busstops.csv'))
+      .then(rows => {
+        const stops = rows.map(parseStopRow).filter(stop => {
+          return stop.code &&
+                 stop.name &&
+                 !isNaN(stop.latitude) &&
+                 !isNaN(stop.longitude);
+        });
+
+        if (stops.length === 0) {
+          throw new Error('No valid bus stops found in CSV.');
+        }
+
+        return {
+          stops,
+          byCode: new Map(stops.map(stop => [stop.code, stop]))
+        };
+      })
+      .catch(error => {
+        stopsPromise = null;
+        throw error;
+      });
+  }
+  return stopsPromise;
+};
+
+/**
+ * Look up a stop by code
+ * @param {Object} stopIndex - Result of loadBusStops()
+ * @param {string} code - Bus stop code (e.g., "44411")
+ * @returns {Object|null} Stop, or null when unknown
+ */
+export const getStopByCode = (stopIndex, code) => {
+  return stopIndex?.byCode.get(code) || null;
+};
+
+/**
+ * Get a display name for a stop code, falling back to the code itself
+ */
+export const getStopName = (stopIndex, code) => {
+  if (!code) return 'Unknown';
+  return getStopByCode(stopIndex, code)?.name || `Stop ${code}`;
+};
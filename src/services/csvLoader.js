@@ -0,0 +1,37 @@
+/**
+ * CSV Loader
+ * Fetches and parses the datasets bundled under public/data
+ */
+import Papa from 'papaparse';
+import { getConfig } from './runtimeConfig';
+
+/**
+ * Build the URL of a data file under config.json's dataUrl, public/data by default
+ * @param {string} fileName - File name inside public/data (e.g., "busstops.csv")
+ */
+export const dataUrl = (fileName) => `${getConfig().dataUrl}${fileName}`;
+
+/**
+ * Fetch a CSV file and parse it into an array of row objects keyed by header
+ * @param {string} url - CSV file URL
+ * @returns {Promise<Array<Object>>} Parsed rows
+ */
+export const loadCSV = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const csvText = await response.text();
+  const results = Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false
+  });
+
+  if (results.errors.length > 0 && results.data.length === 0) {
+    throw new Error(`CSV parsing error: ${results.errors[0].message}`);
+  }
+
+  return results.data;
+};
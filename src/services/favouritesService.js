@@ -0,0 +1,131 @@
+/**
+ * Favourites Service
+ * Stores favourite stops and services in localStorage
+ */
+
+const STORAGE_KEY = 'hopOnSg.favourites';
+const EXPORT_VERSION = 1;
+
+const emptyFavourites = () => ({ stops: [], services: {} });
+
+const listeners = new Set();
+let cached = null;
+
+/**
+ * Check and normalise favourites read from storage or an import file
+ * @throws {Error} When the shape is not recognised
+ */
+const normaliseFavourites = (value) => {
+  if (!value || typeof value !== 'object') {
+    throw new Error('Favourites must be a JSON object');
+  }
+
+  const stops = value.stops ?? [];
+  const services = value.services ?? {};
+
+  if (!Array.isArray(stops) || !stops.every(code => typeof code === 'string')) {
+    throw new Error('"stops" must be a list of bus stop codes');
+  }
+  if (typeof services !== 'object' || Array.isArray(services) ||
+      !Object.values(services).every(list => Array.isArray(list) && list.every(no => typeof no === 'string'))) {
+    throw new Error('"services" must map bus stop codes to lists of service numbers');
+  }
+
+  return { stops: [...new Set(stops)], services };
+};
+
+const readFavourites = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normaliseFavourites(JSON.parse(stored)) : emptyFavourites();
+  } catch (error) {
+    console.error('Ignoring unreadable favourites:', error);
+    return emptyFavourites();
+  }
+};
+
+const writeFavourites = (favourites) => {
+  cached = favourites;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(favourites));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Current favourites; the same object is returned until they change
+ * @returns {{stops: string[], services: Object<string, string[]>}}
+ */
+export const getFavourites = () => {
+  if (!cached) cached = readFavourites();
+  return cached;
+};
+
+/**
+ * Subscribe to favourite changes, including changes made in other tabs
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeFavourites = (listener) => {
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    cached = null;
+    listener();
+  };
+
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
+
+/**
+ * Star or unstar a bus stop
+ */
+export const toggleFavouriteStop = (busStopCode) => {
+  const favourites = getFavourites();
+  const stops = favourites.stops.includes(busStopCode)
+    ? favourites.stops.filter(code => code !== busStopCode)
+    : [...favourites.stops, busStopCode];
+
+  writeFavourites({ ...favourites, stops });
+};
+
+/**
+ * Star or unstar a service at a particular bus stop
+ */
+export const toggleFavouriteService = (busStopCode, serviceNo) => {
+  const favourites = getFavourites();
+  const current = favourites.services[busStopCode] || [];
+  const updated = current.includes(serviceNo)
+    ? current.filter(no => no !== serviceNo)
+    : [...current, serviceNo];
+
+  const services = { ...favourites.services, [busStopCode]: updated };
+  if (updated.length === 0) delete services[busStopCode];
+
+  writeFavourites({ ...favourites, services });
+};
+
+/**
+ * Serialise favourites for download
+ * @returns {string} JSON text
+ */
+export const exportFavourites = () => {
+  return JSON.stringify({ version: EXPORT_VERSION, ...getFavourites() }, null, 2);
+};
+
+/**
+ * Replace favourites with the contents of an exported JSON file
+ * @param {string} jsonText - Text produced by exportFavourites()
+ * @throws {Error} When the file is not valid favourites JSON
+ */
+export const importFavourites = (jsonText) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  writeFavourites(normaliseFavourites(parsed));
+};
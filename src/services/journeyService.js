@@ -0,0 +1,136 @@
+/**
+ * Journey Service
+ * Finds bus services between two stops from the BusRoutes data, directly
+ * or with one change of bus at a shared stop
+ */
+
+const MAX_TRANSFER_OPTIONS = 8;
+
+// Route index per loadBusRoutes() result, so repeated searches reuse it
+const stopIndexCache = new WeakMap();
+
+/**
+ * Index every point a stop appears on a route
+ * @returns {Map<string, Array<{serviceNo: string, direction: string, stops: Array, index: number}>>}
+ */
+const getStopCalls = (routeData) => {
+  if (stopIndexCache.has(routeData)) return stopIndexCache.get(routeData);
+
+  const calls = new Map();
+  routeData.routes.forEach((directions, serviceNo) => {
+    directions.forEach((stops, direction) => {
+      stops.forEach((stop, index) => {
+        if (!calls.has(stop.code)) calls.set(stop.code, []);
+        calls.get(stop.code).push({ serviceNo, direction, stops, index });
+      });
+    });
+  });
+
+  stopIndexCache.set(routeData, calls);
+  return calls;
+};
+
+/**
+ * Describe riding one service between two positions on its route
+ */
+const makeLeg = ({ serviceNo, direction, stops }, boardIndex, alightIndex) => ({
+  serviceNo,
+  direction,
+  fromCode: stops[boardIndex].code,
+  toCode: stops[alightIndex].code,
+  stopCount: alightIndex - boardIndex,
+  distanceKm: Math.max(stops[alightIndex].distance - stops[boardIndex].distance, 0)
+});
+
+const isShorter = (leg, current) => (
+  !current ||
+  leg.stopCount < current.stopCount ||
+  (leg.stopCount === current.stopCount && leg.distanceKm < current.distanceKm)
+);
+
+/**
+ * Shortest ride on each service from the origin to every later stop
+ * @returns {Map<string, Map<string, Object>>} Stop code -> service -> leg
+ */
+const legsFrom = (calls, originCode) => {
+  const reachable = new Map();
+  (calls.get(originCode) || []).forEach(call => {
+    for (let i = call.index + 1; i < call.stops.length; i++) {
+      const code = call.stops[i].code;
+      if (code === originCode) break;
+      if (!reachable.has(code)) reachable.set(code, new Map());
+      const leg = makeLeg(call, call.index, i);
+      if (isShorter(leg, reachable.get(code).get(call.serviceNo))) {
+        reachable.get(code).set(call.serviceNo, leg);
+      }
+    }
+  });
+  return reachable;
+};
+
+/**
+ * Shortest ride on each service from every earlier stop to the destination
+ * @returns {Map<string, Map<string, Object>>} Stop code -> service -> leg
+ */
+const legsTo = (calls, destinationCode) => {
+  const reachable = new Map();
+  (calls.get(destinationCode) || []).forEach(call => {
+    for (let i = call.index - 1; i >= 0; i--) {
+      const code = call.stops[i].code;
+      if (code === destinationCode) break;
+      if (!reachable.has(code)) reachable.set(code, new Map());
+      const leg = makeLeg(call, i, call.index);
+      if (isShorter(leg, reachable.get(code).get(call.serviceNo))) {
+        reachable.get(code).set(call.serviceNo, leg);
+      }
+    }
+  });
+  return reachable;
+};
+
+const byLength = (a, b) => a.stopCount - b.stopCount || a.distanceKm - b.distanceKm;
+
+/**
+ * Services that call at the origin and later at the destination
+ * @param {Object} routeData - Result of loadBusRoutes()
+ * @returns {Array} Legs, fewest stops first
+ */
+export const findDirectServices = (routeData, originCode, destinationCode) => {
+  const direct = legsFrom(getStopCalls(routeData), originCode).get(destinationCode);
+  return direct ? [...direct.values()].sort(byLength) : [];
+};
+
+/**
+ * Journeys with one change of bus at a stop both services call at
+ * Only the shortest option is kept for each pair of services
+ * @param {Object} routeData - Result of loadBusRoutes()
+ * @returns {Array<{legs: Array, transferCode: string, stopCount: number, distanceKm: number}>}
+ */
+export const findTransferJourneys = (routeData, originCode, destinationCode) => {
+  const calls = getStopCalls(routeData);
+  const fromOrigin = legsFrom(calls, originCode);
+  const toDestination = legsTo(calls, destinationCode);
+  const best = new Map();
+
+  fromOrigin.forEach((firstLegs, transferCode) => {
+    const secondLegs = toDestination.get(transferCode);
+    if (!secondLegs || transferCode === destinationCode) return;
+
+    firstLegs.forEach(first => {
+      secondLegs.forEach(second => {
+        if (first.serviceNo === second.serviceNo) return;
+
+        const journey = {
+          legs: [first, second],
+          transferCode,
+          stopCount: first.stopCount + second.stopCount,
+          distanceKm: first.distanceKm + second.distanceKm
+        };
+        const key = `${first.serviceNo}>${second.serviceNo}`;
+        if (isShorter(journey, best.get(key))) best.set(key, journey);
+      });
+    });
+  });
+
+  return [...best.values()].sort(byLength).slice(0, MAX_TRANSFER_OPTIONS);
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { loadBusRoutes } from './busRoutesService';
+import { findDirectServices, findTransferJourneys } from './journeyService';
+
+// BusRoutes rows in DataMall's format over real stops from Orchard Rd to Bugis,
+// cut down to three services; busstops.csv is the bundled one
+const FILES = {
+  'busroutes.csv': new URL('./__fixtures__/busroutes.csv', import.meta.url),
+  'busstops.csv': new URL('../../public/data/busstops.csv', import.meta.url)
+};
+
+const serviceNos = (legs) => legs.map(leg => leg.serviceNo);
+
+describe('journeyService', () => {
+  let routeData;
+
+  beforeAll(async () => {
+    vi.stubGlobal('document', { baseURI: 'https://example.com/' });
+    vi.stubGlobal('fetch', async (url) => {
+      const file = FILES[url.split('/').pop()];
+      return new Response(readFileSync(file, 'utf8'));
+    });
+    routeData = await loadBusRoutes();
+  });
+
+  afterAll(() => vi.unstubAllGlobals());
+
+  describe('findDirectServices', () => {
+    it('finds every service from the origin to the destination, fewest stops first', () => {
+      // Dhoby Ghaut Stn to Raffles Hotel
+      const legs = findDirectServices(routeData, '08057', '02049');
+      expect(serviceNos(legs)).toEqual(['7', '14']);
+      expect(legs[0]).toEqual({
+        serviceNo: '7',
+        direction: '1',
+        fromCode: '08057',
+        toCode: '02049',
+        stopCount: 3,
+        distanceKm: expect.closeTo(1.2)
+      });
+      expect(legs[1].stopCount).toBe(4);
+    });
+
+    it('only rides a service forwards along its route', () => {
+      expect(findDirectServices(routeData, '02049', '08057')).toEqual([]);
+      // Orchard Stn/Lucky Plaza is on the other side of the road
+      expect(findDirectServices(routeData, '09048', '08057')).toEqual([]);
+    });
+
+    it('returns nothing for a stop no service calls at', () => {
+      expect(findDirectServices(routeData, '99999', '02049')).toEqual([]);
+    });
+  });
+
+  describe('findTransferJourneys', () => {
+    it('changes bus where two services meet', () => {
+      // Orchard Stn/Tang Plaza to Bugis Stn Exit B; no service runs the whole way
+      expect(findDirectServices(routeData, '09047', '01059')).toEqual([]);
+
+      const journeys = findTransferJourneys(routeData, '09047', '01059');
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0]).toMatchObject({ transferCode: '02049', stopCount: 9 });
+      expect(journeys[0].legs).toMatchObject([
+        { serviceNo: '7', fromCode: '09047', toCode: '02049', stopCount: 6 },
+        { serviceNo: '961', fromCode: '02049', toCode: '01059', stopCount: 3 }
+      ]);
+      expect(journeys[0].distanceKm).toBeCloseTo(3.7);
+    });
+
+    it('keeps the shortest change for each pair of services', () => {
+      // 14 and 961 also meet at Bras Basah Cplx, but changing there is longer
+      const journeys = findTransferJourneys(routeData, '08057', '01059');
+      expect(journeys.map(journey => serviceNos(journey.legs))).toEqual([['7', '961'], ['14', '961']]);
+      expect(journeys.map(journey => journey.transferCode)).toEqual(['02049', '02049']);
+    });
+  });
+});
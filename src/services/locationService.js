@@ -0,0 +1,201 @@
+/**
+ * Location Service
+ * Tracks the user's GPS position and shares the last fix between pages,
+ * so the dashboard knows where the user is without asking the browser again
+ */
+
+import { haversineMeters } from '../utils/geo';
+
+const STORAGE_KEY = 'hopOnSg.location';
+const MANUAL_STORAGE_KEY = 'hopOnSg.manualLocation';
+const TRACKING_PAUSED_KEY = 'hopOnSg.trackingPaused';
+
+// Rough bounding box of Singapore; the stop data covers nothing outside it
+const BOUNDS = { minLat: 1.15, maxLat: 1.48, minLng: 103.6, maxLng: 104.1 };
+
+// Once there is a usable fix, coarser ones (e.g. Wi-Fi only) are ignored
+const MAX_ACCURACY_M = 100;
+
+// Smaller moves are GPS jitter, not the user walking
+const MIN_MOVEMENT_M = 25;
+
+// A fix older than this is replaced by the next one regardless of movement
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+const listeners = new Set();
+let cached;
+let manualCached;
+
+const readLocation = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored.latitude === 'number' && typeof stored.longitude === 'number'
+      ? stored
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Last known user location; the same object is returned until it changes
+ * @returns {{latitude: number, longitude: number, accuracy: number|null, timestamp: number}|null}
+ */
+export const getUserLocation = () => {
+  if (cached === undefined) cached = readLocation();
+  return cached;
+};
+
+/**
+ * Subscribe to location changes
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeUserLocation = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Remember a GPS fix for the rest of the session
+ * @param {{latitude: number, longitude: number, accuracy?: number}} location
+ */
+export const saveUserLocation = ({ latitude, longitude, accuracy = null }) => {
+  cached = { latitude, longitude, accuracy, timestamp: Date.now() };
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(cached));
+  } catch (error) {
+    console.error('Error saving location:', error);
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Whether the user paused location tracking for this session
+ */
+export const isTrackingPaused = () => sessionStorage.getItem(TRACKING_PAUSED_KEY) === '1';
+
+/**
+ * Pause or resume location tracking for the rest of the session
+ * @param {boolean} paused
+ */
+export const setTrackingPaused = (paused) => {
+  sessionStorage.setItem(TRACKING_PAUSED_KEY, paused ? '1' : '0');
+};
+
+/**
+ * Ask the browser for a fresh fix and store it
+ * @returns {Promise<Object>} The stored location
+ */
+export const requestCurrentLocation = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Geolocation not supported.'));
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      saveUserLocation({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      });
+      resolve(getUserLocation());
+    },
+    reject,
+    {
+      enableHighAccuracy: true,
+      timeout: 10000,
+      maximumAge: 30000
+    }
+  );
+});
+
+/**
+ * Whether a new fix should replace the current location
+ * Only real movement, a much sharper fix or a stale location count, so
+ * distance-sorted lists do not reshuffle on every jittery GPS reading
+ */
+const shouldReplace = (current, next) => {
+  if (!current || Date.now() - current.timestamp > STALE_AFTER_MS) return true;
+
+  const currentAccuracy = current.accuracy ?? Infinity;
+  if (next.accuracy > MAX_ACCURACY_M && currentAccuracy <= MAX_ACCURACY_M) return false;
+  if (next.accuracy < currentAccuracy / 2) return true;
+
+  const moved = haversineMeters(current.latitude, current.longitude, next.latitude, next.longitude);
+  return moved >= Math.max(MIN_MOVEMENT_M, next.accuracy);
+};
+
+/**
+ * Follow the user's position, storing fixes that pass the accuracy and
+ * movement thresholds
+ * @param {Object} options
+ * @param {Function} options.onError - Called with a GeolocationPositionError or Error
+ * @returns {Function} Stop watching
+ */
+export const watchUserLocation = ({ onError }) => {
+  if (!navigator.geolocation) {
+    onError(new Error('Geolocation not supported.'));
+    return () => {};
+  }
+
+  const watchId = navigator.geolocation.watchPosition(
+    (position) => {
+      const next = {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      };
+      if (shouldReplace(getUserLocation(), next)) saveUserLocation(next);
+    },
+    onError,
+    {
+      enableHighAccuracy: true,
+      timeout: 15000,
+      maximumAge: 10000
+    }
+  );
+
+  return () => navigator.geolocation.clearWatch(watchId);
+};
+
+/**
+ * Parse coordinates typed by the user or read from the URL
+ * @param {string|number} latitude
+ * @param {string|number} longitude
+ * @returns {{latitude: number, longitude: number}|null} Null unless both are numbers inside Singapore
+ */
+export const parseCoordinates = (latitude, longitude) => {
+  if (latitude === null || longitude === null || latitude === '' || longitude === '') return null;
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < BOUNDS.minLat || lat > BOUNDS.maxLat || lng < BOUNDS.minLng || lng > BOUNDS.maxLng) return null;
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * Location the user last set by hand, kept between visits
+ * @returns {{latitude: number, longitude: number, label: string}|null}
+ */
+export const getManualLocation = () => {
+  if (manualCached === undefined) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MANUAL_STORAGE_KEY));
+      const coordinates = stored && parseCoordinates(stored.latitude, stored.longitude);
+      manualCached = coordinates ? { ...coordinates, label: stored.label || 'Saved location' } : null;
+    } catch {
+      manualCached = null;
+    }
+  }
+  return manualCached;
+};
+
+/**
+ * Remember a location set by hand
+ * @param {{latitude: number, longitude: number, label: string}} location
+ */
+export const saveManualLocation = ({ latitude, longitude, label }) => {
+  manualCached = { latitude, longitude, label };
+  localStorage.setItem(MANUAL_STORAGE_KEY, JSON.stringify(manualCached));
+};
@@ -2,24 +2,70 @@
  * LTA DataMall API Service (Vite Version)
  * Handles all API calls to Singapore's LTA DataMall
  */
+import { loadBusRoutes, getRemainingRoute } from './busRoutesService';
+import { loadBusStops, getStopName, getStopByCode } from './busStopsService';
+import { haversineMeters } from '../utils/geo';
+import { recordArrivalHistory } from './arrivalHistoryService';
+import {
+  OfflineError,
+  RateLimitError,
+  MalformedResponseError,
+  errorFromNetworkFailure,
+  errorFromResponse
+} from './apiErrors';
+import { retryWithBackoff } from '../utils/backoff';
+import { getConfig, isFeatureEnabled } from './runtimeConfig';
 
-// CORS Proxy for development (remove in production with proper backend)
-const CORS_PROXY = 'https://corsproxy.io/?';
-const LTA_BASE_URL = 'https://datamall2.mytransport.sg/ltaodataservice/v3';
-const API_KEY = import.meta.env.VITE_LTA_API_KEY;
+// How long after its estimated time a bus is still treated as at the stop
+const DEPARTED_GRACE_MS = 30000;
+
+// Transient failures are retried a couple of times before the caller hears about them
+const RETRY_OPTIONS = { retries: 2, baseMs: 1000, maxMs: 8000 };
 
 /**
  * Calculate minutes until arrival from ISO timestamp
+ * @param {string} estimatedArrival - EstimatedArrival from BusArrival
+ * @param {Date} now - Reference time, normally the dashboard clock tick
+ * @returns {number|null} Whole minutes; negative once the time has passed
  */
-export const calculateMinutesUntilArrival = (estimatedArrival) => {
+export const calculateMinutesUntilArrival = (estimatedArrival, now = new Date()) => {
   if (!estimatedArrival) return null;
   
-  const now = new Date();
   const arrivalTime = new Date(estimatedArrival);
   const diffMs = arrivalTime - now;
-  const diffMinutes = Math.floor(diffMs / 60000);
   
-  return diffMinutes >= 0 ? diffMinutes : 0;
+  return Math.floor(diffMs / 60000);
+};
+
+/**
+ * Derive the countdown for an arrival at a given moment
+ * @param {string} estimatedArrival - EstimatedArrival from BusArrival
+ * @param {Date} now - Reference time
+ * @returns {{status: 'due'|'arriving'|'departed', minutes: number}|null}
+ */
+export const getArrivalCountdown = (estimatedArrival, now = new Date()) => {
+  if (!estimatedArrival) return null;
+
+  const diffMs = new Date(estimatedArrival) - now;
+  const minutes = calculateMinutesUntilArrival(estimatedArrival, now);
+
+  if (diffMs < -DEPARTED_GRACE_MS) return { status: 'departed', minutes };
+  if (diffMs < 60000) return { status: 'arriving', minutes: 0 };
+  return { status: 'due', minutes };
+};
+
+/**
+ * Short value and caption for displaying a countdown
+ * @param {Object|null} countdown - Result of getArrivalCountdown()
+ * @returns {{value: string|number, label: string}}
+ */
+export const formatCountdown = (countdown) => {
+  if (!countdown) return { value: '-', label: 'N/A' };
+  switch (countdown.status) {
+    case 'arriving': return { value: 'Arr', label: 'Arriving' };
+    case 'departed': return { value: 'Dep', label: 'Departed' };
+    default: return { value: countdown.minutes, label: 'min' };
+  }
 };
 
 /**
@@ -51,136 +97,190 @@ export const mapBusType = (type) => {
 };
 
 /**
- * Fetch bus arrivals for a specific bus stop
- * @param {string} busStopCode - The bus stop code (e.g., "44411")
- * @returns {Promise<Object>} Bus arrival data
+ * Where to send a request for an API URL, following config.json's proxy mode
+ * Our own proxy server (see server/) adds the AccountKey, so no key ships to
+ * the browser; 'prefix' and 'header' put a generic forwarding proxy in front of it
+ * @param {string} target - Full API URL
+ * @returns {{url: string, headers: Object}}
  */
-export const fetchBusArrivals = async (busStopCode) => {
-  if (!API_KEY) {
-    throw new Error('LTA API Key not configured. Please set VITE_LTA_API_KEY in .env file');
+const routeThroughProxy = (target) => {
+  const { proxy } = getConfig();
+  switch (proxy.mode) {
+    case 'prefix': return { url: `${proxy.url}${proxy.encode ? encodeURIComponent(target) : target}`, headers: {} };
+    case 'header': return { url: proxy.url, headers: { [proxy.header]: target } };
+    default: return { url: target, headers: {} };
   }
+};
 
-  const apiUrl = `${LTA_BASE_URL}/BusArrival?BusStopCode=${busStopCode}`;
-  const url = `${CORS_PROXY}${encodeURIComponent(apiUrl)}`;
-  
+/**
+ * Request arrivals from the proxy once, turning every failure into an ArrivalsApiError
+ * @returns {Promise<Object>} Raw BusArrival response
+ */
+const requestBusArrivals = async (busStopCode) => {
+  const { url, headers } = routeThroughProxy(
+    `${getConfig().apiBaseUrl}/arrivals/${encodeURIComponent(busStopCode)}`
+  );
+
+  let response;
   try {
-    const response = await fetch(url, {
+    response = await fetch(url, {
       method: 'GET',
       headers: {
-        'AccountKey': API_KEY,
-        'accept': 'application/json'
+        'accept': 'application/json',
+        ...headers
       }
     });
+  } catch (error) {
+    throw errorFromNetworkFailure(error);
+  }
 
-    if (!response.ok) {
-      throw new Error(`LTA API Error: ${response.status} ${response.statusText}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw errorFromResponse(response, body);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new MalformedResponseError(error.message);
+  }
+  if (!data || !Array.isArray(data.Services)) {
+    throw new MalformedResponseError('Missing Services array');
+  }
+  return data;
+};
+
+/**
+ * Whether a failed request is worth repeating straight away
+ * Offline devices wait for the browser's online event instead, and a rate
+ * limit longer than our backoff is left to the next poll
+ */
+const shouldRetry = (error) => {
+  if (!error.retryable || error instanceof OfflineError) return false;
+  if (error instanceof RateLimitError) return (error.retryAfterMs ?? 0) <= RETRY_OPTIONS.maxMs;
+  return true;
+};
+
+/**
+ * Fetch bus arrivals for a specific bus stop
+ * Transient failures are retried with exponential backoff
+ * @param {string} busStopCode - The bus stop code (e.g., "44411")
+ * @returns {Promise<Object>} Bus arrival data
+ * @throws {ArrivalsApiError} A subclass describing why the arrivals could not be loaded
+ */
+export const fetchBusArrivals = async (busStopCode) => {
+  try {
+    const data = await retryWithBackoff(() => requestBusArrivals(busStopCode), {
+      ...RETRY_OPTIONS,
+      shouldRetry,
+      delayFor: (error, delay) => Math.max(delay, error.retryAfterMs ?? 0)
+    });
+
+    // Stop and route data only add names and the route timeline, so arrivals still render without them
+    const [stopIndex, routeData] = await Promise.all([
+      loadBusStops().catch(error => {
+        console.error('Error loading bus stops:', error);
+        return null;
+      }),
+      loadBusRoutes().catch(error => {
+        console.error('Error loading bus routes:', error);
+        return null;
+      })
+    ]);
+    let result;
+    try {
+      result = parseBusArrivalData(data, stopIndex, routeData);
+    } catch (error) {
+      throw new MalformedResponseError(error.message);
     }
 
-    const data = await response.json();
-    return parseBusArrivalData(data);
+    // History feeds the reliability stats; a failed write must not lose the arrivals
+    if (isFeatureEnabled('stats')) {
+      recordArrivalHistory(result).catch(error => {
+        console.error('Error recording arrival history:', error);
+      });
+    }
+    return result;
   } catch (error) {
     console.error('Error fetching bus arrivals:', error);
     throw error;
   }
 };
 
+/**
+ * Read the GPS position of an approaching bus
+ * DataMall reports 0,0 when it has no fix and the estimate is schedule-based
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+const parseBusPosition = (nextBus) => {
+  const latitude = parseFloat(nextBus.Latitude);
+  const longitude = parseFloat(nextBus.Longitude);
+
+  if (isNaN(latitude) || isNaN(longitude) || (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+/**
+ * Parse one NextBus / NextBus2 / NextBus3 entry
+ * Each upcoming bus has its own load, deck type, accessibility and position
+ * @param {Object} nextBus - NextBus entry from BusArrival
+ * @param {Object|null} busStop - Stop the arrivals are for, used for distance
+ * @returns {Object|null} Arrival, or null when no bus is scheduled
+ */
+const parseNextBus = (nextBus, busStop) => {
+  if (!nextBus || !nextBus.EstimatedArrival) return null;
+
+  const position = parseBusPosition(nextBus);
+
+  return {
+    position: position,
+    scheduleBased: position === null,
+    distanceM: position && busStop
+      ? haversineMeters(busStop.latitude, busStop.longitude, position.latitude, position.longitude)
+      : null,
+    estimatedArrival: nextBus.EstimatedArrival,
+    load: mapLoadStatus(nextBus.Load),
+    type: mapBusType(nextBus.Type),
+    wheelchairAccessible: nextBus.Feature === 'WAB',
+    monitored: nextBus.Monitored === 1
+  };
+};
+
 /**
  * Parse LTA API response into our app format
  */
-const parseBusArrivalData = (apiResponse) => {
+const parseBusArrivalData = (apiResponse, stopIndex, routeData) => {
   const { BusStopCode, Services } = apiResponse;
+  const busStop = getStopByCode(stopIndex, BusStopCode);
 
   const buses = Services.map(service => {
     const nextBuses = [service.NextBus, service.NextBus2, service.NextBus3];
-    
-    // Calculate arrival times in minutes
-    const arrivals = nextBuses
-      .map(bus => calculateMinutesUntilArrival(bus.EstimatedArrival))
-      .filter(time => time !== null);
+    const arrivals = nextBuses.map(nextBus => parseNextBus(nextBus, busStop));
 
-    // Get first bus details
+    // Origin and destination are the same for every bus of a service at this stop
     const firstBus = service.NextBus;
     
     return {
       number: service.ServiceNo,
       operator: service.Operator,
-      destination: getDestinationName(firstBus.DestinationCode),
-      arrivals: arrivals.length > 0 ? arrivals : [null, null, null],
-      load: mapLoadStatus(firstBus.Load),
-      type: mapBusType(firstBus.Type),
-      feature: firstBus.Feature, // WAB (Wheelchair Accessible Bus)
+      destination: getStopName(stopIndex, firstBus.DestinationCode),
+      origin: getStopName(stopIndex, firstBus.OriginCode),
+      arrivals: arrivals,
       originCode: firstBus.OriginCode,
       destinationCode: firstBus.DestinationCode,
-      monitored: firstBus.Monitored === 1,
-      // Mock route data - in production, fetch from routes API
-      route: generateMockRoute(BusStopCode, firstBus.DestinationCode)
+      route: getRemainingRoute(routeData, service.ServiceNo, BusStopCode, firstBus.DestinationCode)
     };
-  }).filter(bus => bus.arrivals.some(time => time !== null)); // Filter out buses with no arrivals
+  }).filter(bus => bus.arrivals.some(arrival => arrival !== null)); // Filter out buses with no arrivals
 
   return {
     busStopCode: BusStopCode,
+    busStop: busStop,
     buses: buses,
+    // False when busroutes.csv has not been downloaded, so no route can be shown
+    routesAvailable: Boolean(routeData?.routes.size),
     timestamp: new Date().toISOString()
   };
 };
-
-/**
- * Get destination name from destination code
- * In production, this would fetch from a bus routes API or database
- */
-const getDestinationName = (destinationCode) => {
-  // This is a simplified mapping - in production, use actual route data
-  const destinationMap = {
-    '44009': 'Choa Chu Kang Int',
-    '44531': 'Yew Tee MRT',
-    '03211': 'Orchard',
-    '01012': 'City Hall',
-    // Add more mappings as needed
-  };
-  
-  return destinationMap[destinationCode] || `Stop ${destinationCode}`;
-};
-
-/**
- * Generate mock route data
- * In production, fetch actual route from LTA Bus Routes API
- */
-const generateMockRoute = (currentStopCode, destinationCode) => {
-  return [
-    {
-      name: 'Current Stop',
-      code: currentStopCode,
-      status: 'current',
-      distance: '0 km',
-      time: 0
-    },
-    {
-      name: 'Next Stop 1',
-      code: 'XXXXX',
-      status: 'upcoming',
-      distance: '0.5 km',
-      time: 3
-    },
-    {
-      name: 'Next Stop 2',
-      code: 'XXXXX',
-      status: 'upcoming',
-      distance: '1.2 km',
-      time: 7
-    },
-    {
-      name: 'Destination',
-      code: destinationCode,
-      status: 'upcoming',
-      distance: '5.0 km',
-      time: 20
-    }
-  ];
-};
-
-/**
- * Check if API key is configured
- */
-export const isApiKeyConfigured = () => {
-  return Boolean(API_KEY && API_KEY !== 'your_api_key_here');
-};
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Preferences Service
+ * Display and refresh settings chosen on the settings page, kept in
+ * localStorage and shared by every page
+ */
+import { parseCoordinates } from './locationService';
+
+const STORAGE_KEY = 'hopOnSg.preferences';
+
+// 'auto' lets the arrivals store poll faster when a bus is close
+export const REFRESH_INTERVALS = {
+  auto: 'Automatic',
+  15000: 'Every 15 s',
+  30000: 'Every 30 s',
+  60000: 'Every minute',
+  120000: 'Every 2 minutes'
+};
+
+export const CLOCK_FORMATS = { '24h': '24-hour', '12h': '12-hour' };
+export const DISTANCE_UNITS = { metric: 'Metres', imperial: 'Feet and miles' };
+export const STOP_SORTS = { distance: 'Nearest first', name: 'By name' };
+
+export const DEFAULT_PREFERENCES = {
+  refreshInterval: 'auto',
+  clock: '24h',
+  units: 'metric',
+  defaultSort: 'distance',
+  homeLocation: null,
+  showUnmonitored: true
+};
+
+const listeners = new Set();
+let cached = null;
+
+const pick = (value, options, fallback) => (
+  Object.prototype.hasOwnProperty.call(options, String(value)) ? value : fallback
+);
+
+/**
+ * Keep known values only, so a hand-edited or outdated entry cannot break a page
+ */
+const normalisePreferences = (value) => {
+  const stored = value && typeof value === 'object' ? value : {};
+  const home = stored.homeLocation && parseCoordinates(stored.homeLocation.latitude, stored.homeLocation.longitude);
+
+  return {
+    refreshInterval: pick(stored.refreshInterval, REFRESH_INTERVALS, DEFAULT_PREFERENCES.refreshInterval),
+    clock: pick(stored.clock, CLOCK_FORMATS, DEFAULT_PREFERENCES.clock),
+    units: pick(stored.units, DISTANCE_UNITS, DEFAULT_PREFERENCES.units),
+    defaultSort: pick(stored.defaultSort, STOP_SORTS, DEFAULT_PREFERENCES.defaultSort),
+    homeLocation: home ? { ...home, label: stored.homeLocation.label || 'Home' } : null,
+    showUnmonitored: typeof stored.showUnmonitored === 'boolean'
+      ? stored.showUnmonitored
+      : DEFAULT_PREFERENCES.showUnmonitored
+  };
+};
+
+const readPreferences = () => {
+  try {
+    return normalisePreferences(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    console.error('Ignoring unreadable preferences:', error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+/**
+ * Current preferences; the same object is returned until they change
+ * @returns {{refreshInterval: 'auto'|number, clock: '24h'|'12h', units: 'metric'|'imperial', defaultSort: 'distance'|'name', homeLocation: Object|null, showUnmonitored: boolean}}
+ */
+export const getPreferences = () => {
+  if (!cached) cached = readPreferences();
+  return cached;
+};
+
+/**
+ * Subscribe to preference changes, including changes made in other tabs
+ * @returns {Function} Unsubscribe
+ */
+export const subscribePreferences = (listener) => {
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    cached = null;
+    listener();
+  };
+
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
+
+/**
+ * Change some preferences, keeping the rest
+ * @param {Object} changes - Any of the fields returned by getPreferences()
+ */
+export const updatePreferences = (changes) => {
+  cached = normalisePreferences({ ...getPreferences(), ...changes });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(cached));
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Put every preference back to its default
+ */
+export const resetPreferences = () => {
+  updatePreferences(DEFAULT_PREFERENCES);
+};
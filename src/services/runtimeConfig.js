@@ -0,0 +1,204 @@
+/**
+ * Runtime Config
+ * Deployment settings read from config.json when the app starts, so one
+ * build can be served from another host, behind another proxy or with some
+ * features switched off
+ */
+
+export const PROXY_MODES = ['none', 'prefix', 'header'];
+
+// Pages and background work a deployment can switch off
+export const FEATURES = ['alerts', 'journey', 'board', 'stats', 'busMap', 'offline'];
+
+// The deploy path written into index.html as <base href> at build time
+const appRoot = () => new URL('./', document.baseURI);
+
+// basePath defaults to appRoot(), read when the config is validated
+export const DEFAULT_CONFIG = {
+  basePath: null,
+  apiBaseUrl: import.meta.env.VITE_API_BASE_URL || '/api',
+  proxy: { mode: 'none' },
+  dataUrl: 'data/',
+  features: Object.fromEntries(FEATURES.map(feature => [feature, true]))
+};
+
+/**
+ * config.json was unreadable or had settings the app cannot use
+ * problems lists every bad setting, so one reload shows them all
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid config.json: ${problems.join('; ')}`);
+    this.name = this.constructor.name;
+    this.problems = problems;
+  }
+}
+
+let current = null;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isHttpUrl = (value) => /^https?:\/\/[^/]/i.test(value);
+const withTrailingSlash = (value) => value.endsWith('/') ? value : `${value}/`;
+
+/**
+ * Read a URL that is either absolute (http/https) or, when allowed, a path
+ * @returns {string|undefined} undefined after recording a problem
+ */
+const readUrl = (value, name, problems, { allowPath = true } = {}) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    problems.push(`${name} must be a non-empty string`);
+    return undefined;
+  }
+  if (isHttpUrl(value) || (allowPath && !/^[a-z][a-z\d+.-]*:/i.test(value))) return value.trim();
+
+  problems.push(allowPath
+    ? `${name} must be a path or an http(s) URL, got "${value}"`
+    : `${name} must be an http(s) URL, got "${value}"`);
+  return undefined;
+};
+
+const readProxy = (proxy, apiBaseUrl, problems) => {
+  if (!isObject(proxy)) {
+    problems.push('proxy must be an object such as { "mode": "none" }');
+    return DEFAULT_CONFIG.proxy;
+  }
+  if (!PROXY_MODES.includes(proxy.mode)) {
+    problems.push(`proxy.mode must be one of ${PROXY_MODES.join(', ')}, got ${JSON.stringify(proxy.mode)}`);
+    return DEFAULT_CONFIG.proxy;
+  }
+  if (proxy.mode === 'none') return { mode: 'none' };
+
+  // The proxy fetches the API itself, so it needs the API's full address
+  if (apiBaseUrl && !isHttpUrl(apiBaseUrl)) {
+    problems.push(`apiBaseUrl must be an http(s) URL when proxy.mode is "${proxy.mode}"`);
+  }
+  const url = readUrl(proxy.url, 'proxy.url', problems, { allowPath: proxy.mode === 'header' });
+  if (proxy.mode === 'prefix') {
+    // Most forwarding proxies read the target from their query string, so it is encoded unless turned off
+    const encode = proxy.encode ?? true;
+    if (typeof encode !== 'boolean') {
+      problems.push(`proxy.encode must be true or false, got ${JSON.stringify(proxy.encode)}`);
+    }
+    return { mode: 'prefix', url, encode };
+  }
+
+  if (typeof proxy.header !== 'string' || !/^[A-Za-z0-9-]+$/.test(proxy.header)) {
+    problems.push(`proxy.header must be a header name such as "X-Target-Url", got ${JSON.stringify(proxy.header)}`);
+  }
+  return { mode: 'header', url, header: proxy.header };
+};
+
+const readFeatures = (features, problems) => {
+  if (!isObject(features)) {
+    problems.push('features must be an object of true/false values');
+    return DEFAULT_CONFIG.features;
+  }
+
+  const result = { ...DEFAULT_CONFIG.features };
+  Object.entries(features).forEach(([feature, enabled]) => {
+    if (!FEATURES.includes(feature)) {
+      problems.push(`features.${feature} is not a known feature (${FEATURES.join(', ')})`);
+    } else if (typeof enabled !== 'boolean') {
+      problems.push(`features.${feature} must be true or false, got ${JSON.stringify(enabled)}`);
+    } else {
+      result[feature] = enabled;
+    }
+  });
+  return result;
+};
+
+/**
+ * Check a parsed config.json and fill in defaults for anything left out
+ * @param {Object} raw - Parsed config.json
+ * @returns {Object} Complete config
+ * @throws {ConfigError} Listing every setting that is wrong
+ */
+export const validateConfig = (raw) => {
+  if (!isObject(raw)) throw new ConfigError(['the file must contain a JSON object']);
+
+  const problems = [];
+  const known = Object.keys(DEFAULT_CONFIG);
+  Object.keys(raw)
+    .filter(key => !known.includes(key))
+    .forEach(key => problems.push(`unknown setting "${key}" (expected ${known.join(', ')})`));
+
+  const settings = { ...DEFAULT_CONFIG, ...raw };
+  if (settings.basePath === null) settings.basePath = appRoot().pathname;
+
+  let basePath = settings.basePath;
+  if (typeof basePath !== 'string' || !basePath.startsWith('/')) {
+    problems.push(`basePath must be a path starting with "/", got ${JSON.stringify(basePath)}`);
+  } else {
+    basePath = withTrailingSlash(basePath);
+  }
+
+  const apiBaseUrl = readUrl(settings.apiBaseUrl, 'apiBaseUrl', problems)?.replace(/\/+$/, '');
+  const proxy = readProxy(settings.proxy, apiBaseUrl, problems);
+  const features = readFeatures(settings.features, problems);
+
+  // Relative data locations sit under the base path, like the bundled public/data
+  let dataUrl = readUrl(settings.dataUrl, 'dataUrl', problems);
+  if (dataUrl) {
+    dataUrl = withTrailingSlash(isHttpUrl(dataUrl) || dataUrl.startsWith('/') ? dataUrl : `${basePath}${dataUrl}`);
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return { basePath, apiBaseUrl, proxy, dataUrl, features };
+};
+
+/**
+ * The routes only render when the page's address sits under basePath
+ */
+const checkBasePath = ({ basePath }) => {
+  if (!`${window.location.pathname}/`.startsWith(basePath)) {
+    throw new ConfigError([
+      `basePath "${basePath}" does not match this page's address "${window.location.pathname}"`
+    ]);
+  }
+};
+
+/**
+ * Load and validate config.json, once, before the app renders
+ * A missing file or an unreachable server means the built-in defaults;
+ * a file with bad settings is an error rather than a half-working app
+ * @returns {Promise<Object>} The config now returned by getConfig()
+ * @throws {ConfigError}
+ */
+export const loadConfig = async () => {
+  let response;
+  try {
+    response = await fetch(new URL('config.json', appRoot()), { cache: 'no-cache' });
+  } catch (error) {
+    console.warn('config.json could not be fetched, using defaults:', error);
+  }
+
+  if (!response?.ok) {
+    if (response) console.warn(`config.json returned HTTP ${response.status}, using defaults`);
+    current = validateConfig({});
+    return current;
+  }
+
+  let raw;
+  try {
+    raw = await response.json();
+  } catch (error) {
+    throw new ConfigError([`the file is not valid JSON (${error.message})`]);
+  }
+  current = validateConfig(raw);
+  checkBasePath(current);
+  return current;
+};
+
+/**
+ * The loaded config, or the defaults before loadConfig() has finished
+ */
+export const getConfig = () => {
+  if (!current) current = validateConfig({});
+  return current;
+};
+
+/**
+ * Whether the deployment has a feature switched on
+ * @param {string} feature - One of FEATURES
+ */
+export const isFeatureEnabled = (feature) => getConfig().features[feature] === true;
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { validateConfig, ConfigError } from './runtimeConfig';
+
+const problemsOf = (raw) => {
+  try {
+    validateConfig(raw);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.problems;
+  }
+  throw new Error('expected a ConfigError');
+};
+
+describe('validateConfig', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('fills in defaults, taking basePath from the page\'s <base href>', () => {
+    vi.stubGlobal('document', { baseURI: 'https://example.com/tracker/' });
+    expect(validateConfig({})).toEqual({
+      basePath: '/tracker/',
+      apiBaseUrl: '/api',
+      proxy: { mode: 'none' },
+      dataUrl: '/tracker/data/',
+      features: { alerts: true, journey: true, board: true, stats: true, busMap: true, offline: true }
+    });
+  });
+
+  it('adds trailing slashes and trims the one on apiBaseUrl', () => {
+    const config = validateConfig({ basePath: '/tracker', apiBaseUrl: 'https://api.example.com/api/', dataUrl: 'https://cdn.example.com/data' });
+    expect(config.basePath).toBe('/tracker/');
+    expect(config.apiBaseUrl).toBe('https://api.example.com/api');
+    expect(config.dataUrl).toBe('https://cdn.example.com/data/');
+  });
+
+  it('switches single features off', () => {
+    const { features } = validateConfig({ basePath: '/', features: { stats: false } });
+    expect(features.stats).toBe(false);
+    expect(features.board).toBe(true);
+  });
+
+  it('reports every bad setting at once', () => {
+    expect(problemsOf({
+      basePath: 'tracker',
+      dataUrl: 'ftp://example.com/',
+      features: { stats: 'no', radar: true },
+      colour: 'green'
+    })).toEqual([
+      'unknown setting "colour" (expected basePath, apiBaseUrl, proxy, dataUrl, features)',
+      'basePath must be a path starting with "/", got "tracker"',
+      'features.stats must be true or false, got "no"',
+      'features.radar is not a known feature (alerts, journey, board, stats, busMap, offline)',
+      'dataUrl must be a path or an http(s) URL, got "ftp://example.com/"'
+    ]);
+  });
+
+  it('rejects a config that is not an object', () => {
+    expect(problemsOf([])).toEqual(['the file must contain a JSON object']);
+  });
+});
+
+describe('validateConfig proxy', () => {
+  const withProxy = (proxy) => ({ basePath: '/', apiBaseUrl: 'https://api.example.com', proxy });
+
+  it('encodes the target for prefix proxies unless told not to', () => {
+    expect(validateConfig(withProxy({ mode: 'prefix', url: 'https://cors.example.com/?url=' })).proxy)
+      .toEqual({ mode: 'prefix', url: 'https://cors.example.com/?url=', encode: true });
+    expect(validateConfig(withProxy({ mode: 'prefix', url: 'https://cors.example.com/', encode: false })).proxy.encode)
+      .toBe(false);
+  });
+
+  it('rejects an encode flag that is not a boolean', () => {
+    expect(problemsOf(withProxy({ mode: 'prefix', url: 'https://cors.example.com/', encode: 'yes' })))
+      .toEqual(['proxy.encode must be true or false, got "yes"']);
+  });
+
+  it('needs an absolute prefix URL but allows a header proxy on a path', () => {
+    expect(problemsOf(withProxy({ mode: 'prefix', url: '/cors/' })))
+      .toEqual(['proxy.url must be an http(s) URL, got "/cors/"']);
+    expect(validateConfig(withProxy({ mode: 'header', url: '/forward', header: 'X-Target-Url' })).proxy)
+      .toEqual({ mode: 'header', url: '/forward', header: 'X-Target-Url' });
+  });
+
+  it('needs an absolute apiBaseUrl and a header name when proxying', () => {
+    expect(problemsOf({ basePath: '/', proxy: { mode: 'header', url: '/forward' } })).toEqual([
+      'apiBaseUrl must be an http(s) URL when proxy.mode is "header"',
+      'proxy.header must be a header name such as "X-Target-Url", got undefined'
+    ]);
+  });
+
+  it('rejects an unknown mode', () => {
+    expect(problemsOf(withProxy({ mode: 'socks' })))
+      .toEqual(['proxy.mode must be one of none, prefix, header, got "socks"']);
+  });
+});
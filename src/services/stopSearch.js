@@ -0,0 +1,206 @@
+/**
+ * Stop Search
+ * Abbreviation-aware, typo-tolerant search over bus stop names, roads and codes
+ */
+
+/**
+ * LTA abbreviations used in busstops.csv, mapped to the words people type
+ */
+const ABBREVIATIONS = {
+  aft: 'after',
+  ave: 'avenue',
+  bef: 'before',
+  bldg: 'building',
+  blk: 'block',
+  blvd: 'boulevard',
+  bt: 'bukit',
+  ch: 'church',
+  cl: 'close',
+  cplx: 'complex',
+  cres: 'crescent',
+  ctr: 'centre',
+  ctrl: 'central',
+  dr: 'drive',
+  est: 'estate',
+  gdn: 'garden',
+  gdns: 'gardens',
+  hosp: 'hospital',
+  hts: 'heights',
+  ind: 'industrial',
+  int: 'interchange',
+  jln: 'jalan',
+  kg: 'kampong',
+  lib: 'library',
+  lor: 'lorong',
+  mkt: 'market',
+  natl: 'national',
+  nth: 'north',
+  opp: 'opposite',
+  pk: 'park',
+  pl: 'place',
+  poly: 'polytechnic',
+  pri: 'primary',
+  rd: 'road',
+  sch: 'school',
+  sec: 'secondary',
+  sq: 'square',
+  st: 'street',
+  stn: 'station',
+  sth: 'south',
+  ter: 'terminal',
+  tg: 'tanjong',
+  twr: 'tower',
+  univ: 'university',
+  upp: 'upper'
+};
+
+// Match quality for a single query word
+const EXACT = 3;
+const PREFIX = 2;
+const FUZZY = 1;
+
+// Result tiers, so a better kind of match always ranks above a closer stop
+const TIER_CODE = 3;
+const TIER_PREFIX = 2;
+const TIER_FUZZY = 1;
+
+const splitWords = (text) => (text || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const expand = (word) => ABBREVIATIONS[word] || word;
+
+/**
+ * Split text into lowercase words with abbreviations expanded
+ */
+export const tokenize = (text) => splitWords(text).map(expand);
+
+/**
+ * Split a query into the forms each word may match
+ * The last word may still be being typed, so "st" must keep prefix-matching
+ * "station" as well as standing for "street"; earlier words are complete
+ * @returns {Array<Array<string>>} One list of forms per query word
+ */
+export const tokenizeQuery = (text) => {
+  const words = splitWords(text);
+  return words.map((word, i) => (
+    i === words.length - 1 && expand(word) !== word ? [expand(word), word] : [expand(word)]
+  ));
+};
+
+/**
+ * Levenshtein distance, giving up once it exceeds maxDistance
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Typos allowed for a query word; short words must match exactly
+ */
+const allowedTypos = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * How well a query word matches a stop word
+ */
+const matchWord = (queryWord, stopWord) => {
+  if (stopWord === queryWord) return EXACT;
+  if (stopWord.startsWith(queryWord)) return PREFIX;
+
+  const typos = allowedTypos(queryWord);
+  if (typos > 0 && editDistance(queryWord, stopWord, typos) <= typos) return FUZZY;
+  // Also tolerate a typo in a partly typed word
+  if (typos > 0 && stopWord.length > queryWord.length &&
+      editDistance(queryWord, stopWord.slice(0, queryWord.length), typos) <= typos) {
+    return FUZZY;
+  }
+  return 0;
+};
+
+/**
+ * Build a search index over bus stops
+ * @param {Array} stops - Stops with code, name and road
+ * @returns {{search: Function}}
+ */
+export const createStopSearchIndex = (stops) => {
+  const entries = stops.map(stop => ({
+    stop,
+    words: [...new Set([...tokenize(stop.name), ...tokenize(stop.road)])]
+  }));
+  const vocabulary = [...new Set(entries.flatMap(entry => entry.words))];
+
+  /**
+   * Find stops matching a query, best first
+   * @param {string} query - Free text, e.g. "opposite national library" or "01029"
+   * @param {Object} [options]
+   * @param {Function} [options.getDistance] - Distance to a stop in metres, used to favour nearby results
+   * @returns {Array} Matching stops
+   */
+  const search = (query, { getDistance } = {}) => {
+    const trimmed = query.trim().toLowerCase();
+    const queryWords = tokenizeQuery(trimmed);
+    if (queryWords.length === 0) return [];
+
+    // Score each query word against the vocabulary once, not once per stop
+    const wordScores = queryWords.map(forms => {
+      const scores = new Map();
+      vocabulary.forEach(word => {
+        const score = Math.max(...forms.map(form => matchWord(form, word)));
+        if (score > 0) scores.set(word, score);
+      });
+      return scores;
+    });
+
+    const results = [];
+    entries.forEach(({ stop, words }) => {
+      let tier;
+      let quality = 0;
+
+      if (stop.code === trimmed) {
+        tier = TIER_CODE;
+      } else if (/^\d+$/.test(trimmed) && stop.code.startsWith(trimmed)) {
+        tier = TIER_PREFIX;
+      } else {
+        let weakest = EXACT;
+        for (const scores of wordScores) {
+          const best = Math.max(0, ...words.map(word => scores.get(word) || 0));
+          if (best === 0) return;
+          weakest = Math.min(weakest, best);
+          quality += best;
+        }
+        tier = weakest === FUZZY ? TIER_FUZZY : TIER_PREFIX;
+      }
+
+      const distance = getDistance ? getDistance(stop) : null;
+      const proximity = distance === null || distance === undefined ? 0 : 1 / (1 + distance / 1000);
+
+      results.push({ stop, score: tier * 1000 + quality * 10 + proximity * 10 });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .map(result => result.stop);
+  };
+
+  return { search };
+};
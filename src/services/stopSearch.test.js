@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createStopSearchIndex, tokenize, tokenizeQuery } from './stopSearch';
+
+// Rows from public/data/busstops.csv
+const STOPS = [
+  { code: '01012', road: 'Victoria St', name: 'Hotel Grand Pacific' },
+  { code: '01013', road: 'Victoria St', name: "St. Joseph's Ch" },
+  { code: '01019', road: 'Victoria St', name: 'Bras Basah Cplx' },
+  { code: '01029', road: 'Nth Bridge Rd', name: 'Opp Natl Lib' },
+  { code: '08057', road: 'Orchard Rd', name: 'Dhoby Ghaut Stn' },
+  { code: '40301', road: 'Bt Batok West Ave 6', name: 'Blk 451A' }
+];
+
+const codes = (stops) => stops.map(stop => stop.code);
+
+describe('tokenize', () => {
+  it('expands LTA abbreviations in indexed text', () => {
+    expect(tokenize('Opp Natl Lib')).toEqual(['opposite', 'national', 'library']);
+    expect(tokenize("St. Joseph's Ch")).toEqual(['street', 'josephs', 'church']);
+  });
+});
+
+describe('tokenizeQuery', () => {
+  it('keeps the raw form of the last word alongside its expansion', () => {
+    expect(tokenizeQuery('dhoby st')).toEqual([['dhoby'], ['street', 'st']]);
+  });
+
+  it('only expands words the user has finished typing', () => {
+    expect(tokenizeQuery('bt batok')).toEqual([['bukit'], ['batok']]);
+  });
+});
+
+describe('createStopSearchIndex', () => {
+  const index = createStopSearchIndex(STOPS);
+
+  it('lets a partly typed "st" match stations as well as streets', () => {
+    const results = codes(index.search('st'));
+    expect(results).toContain('08057');
+    expect(results).toEqual(expect.arrayContaining(['01012', '01013', '01019']));
+    expect(codes(index.search('dhoby st'))).toEqual(['08057']);
+  });
+
+  it('reads "bt" as bukit', () => {
+    expect(codes(index.search('bt'))).toEqual(['40301']);
+    expect(codes(index.search('bt batok west'))).toEqual(['40301']);
+  });
+
+  it('matches bus stop code prefixes, exact code first', () => {
+    expect(codes(index.search('010')).sort()).toEqual(['01012', '01013', '01019', '01029']);
+    expect(codes(index.search('01029'))[0]).toBe('01029');
+  });
+
+  it('finds abbreviated names from the full words', () => {
+    expect(codes(index.search('opposite national library'))).toEqual(['01029']);
+  });
+
+  it('tolerates a typo', () => {
+    expect(codes(index.search('orchad'))).toEqual(['08057']);
+  });
+
+  it('ranks exact word matches above prefix matches', () => {
+    expect(codes(index.search('victoria st')).slice(0, 3).sort()).toEqual(['01012', '01013', '01019']);
+  });
+
+  it('breaks ties by distance when one is given', () => {
+    const distances = { '01012': 900, '01013': 100, '01019': 500 };
+    const results = index.search('victoria', { getDistance: stop => distances[stop.code] });
+    expect(codes(results)).toEqual(['01013', '01019', '01012']);
+  });
+});
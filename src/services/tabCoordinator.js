@@ -0,0 +1,65 @@
+/**
+ * Tab Coordinator
+ * Elects one open tab as the leader and carries messages between tabs, so
+ * work such as polling DataMall happens once per browser instead of once per tab
+ * Leadership is a Web Lock held for the life of the tab; the browser hands it
+ * to a waiting tab when the leader closes
+ */
+
+const CHANNEL_NAME = 'hopOnSg.tabs';
+const LOCK_NAME = 'hopOnSg.leader';
+
+export const tabId = Math.random().toString(36).slice(2, 10);
+
+let channel = null;
+let leader = false;
+let started = false;
+
+/**
+ * Whether this tab does the shared work
+ * Before joining, and in browsers without BroadcastChannel, every tab is on its own
+ */
+export const isLeader = () => leader;
+
+/**
+ * Send a message to every other tab
+ * @param {Object} message - Structured-cloneable; `from` is added
+ */
+export const postToTabs = (message) => {
+  channel?.postMessage({ ...message, from: tabId });
+};
+
+/**
+ * Join the other tabs; later calls do nothing
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - Called with each message from another tab
+ * @param {Function} handlers.onLeader - Called once this tab becomes the leader
+ */
+export const joinTabs = ({ onMessage, onLeader }) => {
+  if (started) return;
+  started = true;
+
+  if (typeof BroadcastChannel === 'undefined') {
+    leader = true;
+    onLeader();
+    return;
+  }
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.addEventListener('message', (event) => onMessage(event.data));
+  window.addEventListener('pagehide', () => postToTabs({ type: 'bye' }));
+
+  // Without Web Locks there is no safe election, so each tab leads itself
+  if (!navigator.locks) {
+    leader = true;
+    onLeader();
+    return;
+  }
+
+  navigator.locks.request(LOCK_NAME, () => {
+    leader = true;
+    onLeader();
+    // Never settles, so the lock is only released when the tab goes away
+    return new Promise(() => {});
+  }).catch(error => console.error('Error electing leader tab:', error));
+};
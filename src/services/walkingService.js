@@ -0,0 +1,100 @@
+/**
+ * Walking Service
+ * Estimates the walk to a stop and whether each upcoming bus can be caught
+ */
+
+const STORAGE_KEY = 'hopOnSg.walkingSpeed';
+
+export const WALKING_SPEEDS = {
+  slow: { label: 'Slow', metersPerSecond: 1.0 },
+  normal: { label: 'Normal', metersPerSecond: 1.3 },
+  brisk: { label: 'Brisk', metersPerSecond: 1.7 }
+};
+
+// Streets are rarely straight; scale the straight-line distance to a rough walking distance
+const ROUTE_FACTOR = 1.3;
+
+// Arriving with less spare time than this counts as a tight connection
+const TIGHT_MARGIN_MS = 2 * 60 * 1000;
+
+// Beyond this the user is not walking to the stop, so no advice is shown
+export const MAX_WALK_DISTANCE_M = 3000;
+
+const listeners = new Set();
+let cached = null;
+
+/**
+ * Chosen walking speed key; defaults to normal
+ */
+export const getWalkingSpeed = () => {
+  if (!cached) {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    cached = WALKING_SPEEDS[stored] ? stored : 'normal';
+  }
+  return cached;
+};
+
+/**
+ * Subscribe to walking speed changes
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeWalkingSpeed = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const setWalkingSpeed = (speed) => {
+  if (!WALKING_SPEEDS[speed]) return;
+  cached = speed;
+  localStorage.setItem(STORAGE_KEY, speed);
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Time to walk a straight-line distance
+ * @param {number} distanceM - Straight-line distance in metres
+ * @param {string} speed - Key of WALKING_SPEEDS
+ * @returns {number} Milliseconds
+ */
+export const estimateWalkMs = (distanceM, speed) => {
+  return (distanceM * ROUTE_FACTOR / WALKING_SPEEDS[speed].metersPerSecond) * 1000;
+};
+
+/**
+ * Whether a bus can be caught by leaving now
+ * @param {string} estimatedArrival - EstimatedArrival of the bus
+ * @param {number} walkMs - Result of estimateWalkMs()
+ * @param {Date} now - Reference time
+ * @returns {'catchable'|'tight'|'missed'}
+ */
+export const classifyArrival = (estimatedArrival, walkMs, now) => {
+  const spareMs = new Date(estimatedArrival) - now - walkMs;
+  if (spareMs < 0) return 'missed';
+  if (spareMs < TIGHT_MARGIN_MS) return 'tight';
+  return 'catchable';
+};
+
+/**
+ * When to set off for the first bus of a service that can still be caught
+ * comfortably; a tight bus is only suggested if nothing later is known
+ * @param {Array} arrivals - Arrivals of one service
+ * @param {number} walkMs - Result of estimateWalkMs()
+ * @param {Date} now - Reference time
+ * @returns {{arrival: Object, leaveInMinutes: number, status: string}|null}
+ */
+export const getLeaveAdvice = (arrivals, walkMs, now) => {
+  const candidates = arrivals
+    .filter(arrival => arrival !== null)
+    .map(arrival => ({ arrival, status: classifyArrival(arrival.estimatedArrival, walkMs, now) }))
+    .filter(candidate => candidate.status !== 'missed');
+
+  const best = candidates.find(candidate => candidate.status === 'catchable') || candidates[0];
+  if (!best) return null;
+
+  const leaveInMs = new Date(best.arrival.estimatedArrival) - now - walkMs;
+  return {
+    arrival: best.arrival,
+    status: best.status,
+    leaveInMinutes: Math.max(0, Math.floor(leaveInMs / 60000))
+  };
+};
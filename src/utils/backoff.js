@@ -0,0 +1,41 @@
+/**
+ * Exponential backoff for retrying failed requests
+ */
+
+/**
+ * Delay before the given retry: baseMs, then doubling up to maxMs, with up to
+ * 20% jitter so clients that failed together do not retry together
+ * @param {number} attempt - 1 for the first retry
+ * @param {Object} options
+ * @param {number} options.baseMs - Delay before the first retry
+ * @param {number} options.maxMs - Longest delay
+ * @returns {number} Milliseconds
+ */
+export const backoffDelay = (attempt, { baseMs, maxMs }) => {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay * (1 - Math.random() * 0.2));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a task, retrying with backoff while shouldRetry allows
+ * @param {Function} task - Returns a promise
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseMs - Delay before the first retry
+ * @param {number} options.maxMs - Longest delay
+ * @param {Function} options.shouldRetry - (error) => boolean
+ * @param {Function} [options.delayFor] - (error, delay) => delay; lets an error ask for a longer wait
+ * @returns {Promise<*>} The task's result, or the last error
+ */
+export const retryWithBackoff = async (task, { retries, baseMs, maxMs, shouldRetry, delayFor = (error, delay) => delay }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      await sleep(delayFor(error, backoffDelay(attempt + 1, { baseMs, maxMs })));
+    }
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * Geo helpers shared by the stop list and the arrivals dashboard
+ * All distances are in metres
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const METRES_PER_DEGREE_LAT = 111320;
+
+// Grid cell size for the stop index; a few stops per cell in the city
+const CELL_SIZE_M = 250;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Haversine formula to calculate distance between two GPS coordinates
+ * @returns {number} Distance in metres
+ */
+export const haversineMeters = (lat1, lon1, lat2, lon2) => {
+  const dlat = toRadians(lat2) - toRadians(lat1);
+  const dlon = toRadians(lon2) - toRadians(lon1);
+
+  const a = Math.sin(dlat/2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dlon/2) ** 2;
+  const c = 2 * Math.asin(Math.sqrt(a));
+
+  return EARTH_RADIUS_M * c;
+};
+
+const FEET_PER_METRE = 3.28084;
+const METRES_PER_MILE = 1609.344;
+
+/**
+ * Format a distance for display, switching to km from 1000 m
+ * (or to miles from 1000 ft)
+ * @param {number} meters
+ * @param {'metric'|'imperial'} [units] - From the user's preferences
+ */
+export const formatDistance = (meters, units = 'metric') => {
+  if (meters === null || meters === undefined) return 'N/A';
+  if (units === 'imperial') {
+    const feet = meters * FEET_PER_METRE;
+    return feet < 1000 ? `${Math.round(feet / 10) * 10}ft` : `${(meters / METRES_PER_MILE).toFixed(1)}mi`;
+  }
+  return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`;
+};
+
+/**
+ * Build a grid index over items with latitude/longitude for fast
+ * nearest-neighbour and radius queries
+ * @param {Array<{latitude: number, longitude: number}>} items - e.g. bus stops
+ * @returns {{nearest: Function, withinRadius: Function}}
+ */
+export const createGeoIndex = (items) => {
+  const cells = new Map();
+  if (items.length === 0) {
+    return { nearest: () => [], withinRadius: () => [] };
+  }
+
+  // Singapore spans about 0.3° of latitude, so one longitude scale is accurate enough
+  const referenceLat = items.reduce((sum, item) => sum + item.latitude, 0) / items.length;
+  const cellLat = CELL_SIZE_M / METRES_PER_DEGREE_LAT;
+  const cellLng = CELL_SIZE_M / (METRES_PER_DEGREE_LAT * Math.cos(toRadians(referenceLat)));
+
+  const cellOf = (latitude, longitude) => ({
+    row: Math.floor(latitude / cellLat),
+    col: Math.floor(longitude / cellLng)
+  });
+
+  let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+  items.forEach(item => {
+    const { row, col } = cellOf(item.latitude, item.longitude);
+    const key = `${row}:${col}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col);
+    maxCol = Math.max(maxCol, col);
+  });
+
+  /**
+   * Items in the square ring of cells `ring` steps from the centre cell
+   */
+  const collectRing = (center, ring, latitude, longitude, into) => {
+    for (let row = center.row - ring; row <= center.row + ring; row++) {
+      for (let col = center.col - ring; col <= center.col + ring; col++) {
+        if (Math.max(Math.abs(row - center.row), Math.abs(col - center.col)) !== ring) continue;
+        const cell = cells.get(`${row}:${col}`);
+        if (!cell) continue;
+        cell.forEach(item => {
+          into.push({ item, distance: haversineMeters(latitude, longitude, item.latitude, item.longitude) });
+        });
+      }
+    }
+  };
+
+  // Rings needed from a cell to cover the whole grid
+  const maxRingFrom = (center) => Math.max(
+    Math.abs(center.row - minRow), Math.abs(center.row - maxRow),
+    Math.abs(center.col - minCol), Math.abs(center.col - maxCol)
+  );
+
+  /**
+   * The k items closest to a point
+   * @returns {Array<{item: Object, distance: number}>} Nearest first, distance in metres
+   */
+  const nearest = (latitude, longitude, k) => {
+    const center = cellOf(latitude, longitude);
+    const lastRing = maxRingFrom(center);
+    const found = [];
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      collectRing(center, ring, latitude, longitude, found);
+      if (found.length < k) continue;
+
+      // Anything in an unvisited ring is at least `ring` whole cells away
+      found.sort((a, b) => a.distance - b.distance);
+      if (found[k - 1].distance <= ring * CELL_SIZE_M) break;
+    }
+
+    return found.sort((a, b) => a.distance - b.distance).slice(0, k);
+  };
+
+  /**
+   * All items within radius metres of a point
+   * @returns {Array<{item: Object, distance: number}>} Nearest first, distance in metres
+   */
+  const withinRadius = (latitude, longitude, radius) => {
+    const center = cellOf(latitude, longitude);
+    const lastRing = Math.min(Math.ceil(radius / CELL_SIZE_M) + 1, maxRingFrom(center));
+    const found = [];
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      collectRing(center, ring, latitude, longitude, found);
+    }
+
+    return found
+      .filter(result => result.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  };
+
+  return { nearest, withinRadius };
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import Papa from 'papaparse';
+import { createGeoIndex, haversineMeters } from './geo';
+
+const STOPS = Papa.parse(readFileSync(new URL('../../public/data/busstops.csv', import.meta.url), 'utf8'), {
+  header: true,
+  skipEmptyLines: true
+}).data.map(row => ({
+  code: row.BusStopCode,
+  latitude: parseFloat(row.Latitude),
+  longitude: parseFloat(row.Longitude)
+}));
+
+// Raffles Place, Woodlands, Changi Airport and a point in the sea south of Sentosa
+const POINTS = [
+  [1.2840, 103.8514],
+  [1.4370, 103.7865],
+  [1.3644, 103.9915],
+  [1.2000, 103.8300]
+];
+
+const bruteForce = (latitude, longitude) => STOPS
+  .map(item => ({ item, distance: haversineMeters(latitude, longitude, item.latitude, item.longitude) }))
+  .sort((a, b) => a.distance - b.distance);
+
+const codes = (results) => results.map(result => result.item.code);
+
+describe('createGeoIndex', () => {
+  const index = createGeoIndex(STOPS);
+
+  it('returns the same nearest stops as checking every stop', () => {
+    POINTS.forEach(([latitude, longitude]) => {
+      expect(codes(index.nearest(latitude, longitude, 10))).toEqual(codes(bruteForce(latitude, longitude).slice(0, 10)));
+    });
+  });
+
+  it('returns every stop within a radius, nearest first', () => {
+    POINTS.forEach(([latitude, longitude]) => {
+      const expected = bruteForce(latitude, longitude).filter(result => result.distance <= 800);
+      expect(codes(index.withinRadius(latitude, longitude, 800))).toEqual(codes(expected));
+    });
+  });
+
+  it('returns fewer than k stops when there are not that many', () => {
+    const small = createGeoIndex(STOPS.slice(0, 3));
+    expect(small.nearest(1.3, 103.8, 10)).toHaveLength(3);
+  });
+
+  it('handles an empty list', () => {
+    const empty = createGeoIndex([]);
+    expect(empty.nearest(1.3, 103.8, 5)).toEqual([]);
+    expect(empty.withinRadius(1.3, 103.8, 500)).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Builders for in-app URLs
+ */
+
+/**
+ * Clean bus stop description for URL
+ * Removes special characters and converts to URL-friendly format
+ */
+export const cleanBusDescription = (description) => {
+  return description
+    .replace(/[^a-zA-Z0-9\s]/g, '') // Remove special characters
+    .trim()
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .toLowerCase();
+};
+
+/**
+ * Path of the arrivals dashboard for a stop
+ */
+export const getDashboardPath = (busStopCode, name) => {
+  return `/dashboards/${busStopCode}/${cleanBusDescription(name || busStopCode)}`;
+};
+
+/**
+ * Path of the commute board for a list of stops
+ */
+export const getBoardPath = (busStopCodes) => {
+  return `/board?stops=${busStopCodes.join(',')}`;
+};
+
+/**
+ * Path of the reliability stats for a stop
+ */
+export const getStatsPath = (busStopCode) => {
+  return `/stats/${busStopCode}`;
+};
+
+const journeyQuery = ({ from, to }) => {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  return params;
+};
+
+/**
+ * Path of the journey finder, e.g. /journey?from=01012&to=04167
+ */
+export const getJourneyPath = (journey = {}) => {
+  const query = journeyQuery(journey).toString();
+  return query ? `/journey?${query}` : '/journey';
+};
+
+/**
+ * Path of the stop list in picker mode, choosing the origin ('from') or
+ * destination ('to') of a journey
+ */
+export const getJourneyPickerPath = (field, journey = {}) => {
+  const params = journeyQuery(journey);
+  params.set('pick', field);
+  return `/?${params.toString()}`;
+};
@@ -0,0 +1,44 @@
+/**
+ * Section headers for the stop list: first letters for name order and
+ * distance bands for distance order
+ */
+import { formatDistance } from './geo';
+
+const DISTANCE_BANDS = [200, 500, 1000, 2000, 5000];
+
+const initialOf = (name) => {
+  const initial = (name || '').charAt(0).toUpperCase();
+  return /[A-Z]/.test(initial) ? initial : '#';
+};
+
+const bandOf = (meters, units) => {
+  const limit = DISTANCE_BANDS.find(band => meters < band);
+  return limit
+    ? `< ${formatDistance(limit, units)}`
+    : `${formatDistance(DISTANCE_BANDS[DISTANCE_BANDS.length - 1], units)}+`;
+};
+
+/**
+ * Turn an ordered stop list into list rows with a header wherever the section changes
+ * @param {Array} stops - Stops already sorted to match the grouping
+ * @param {'name'|'distance'|null} grouping - How the stops are ordered; null adds no headers
+ * @param {'metric'|'imperial'} [units] - Units for distance band labels
+ * @returns {Array<{type: 'header', key: string, label: string}|{type: 'stop', key: string, stop: Object}>}
+ */
+export const buildStopListRows = (stops, grouping, units = 'metric') => {
+  const rows = [];
+  let section = null;
+
+  stops.forEach(stop => {
+    if (grouping) {
+      const label = grouping === 'name' ? initialOf(stop.name) : bandOf(stop.distance, units);
+      if (label !== section) {
+        section = label;
+        rows.push({ type: 'header', key: `header-${label}`, label });
+      }
+    }
+    rows.push({ type: 'stop', key: stop.code, stop });
+  });
+
+  return rows;
+};
@@ -0,0 +1,50 @@
+/**
+ * Time formatting for display; clock times follow the user's 12/24-hour preference
+ */
+
+/**
+ * Format a time of day for display
+ * @param {Date|number} time - Date or epoch milliseconds
+ * @param {'24h'|'12h'} clock - From the user's preferences
+ * @param {Object} [options]
+ * @param {boolean} [options.seconds] - Include seconds, e.g. for the live clock
+ */
+export const formatClockTime = (time, clock, { seconds = false } = {}) => {
+  return new Date(time).toLocaleTimeString('en-SG', {
+    hour: '2-digit',
+    minute: '2-digit',
+    ...(seconds && { second: '2-digit' }),
+    hour12: clock === '12h'
+  });
+};
+
+/**
+ * Format a date and time of day for display, e.g. "19 Oct 2026, 08:15"
+ * @param {Date|number} time - Date or epoch milliseconds
+ * @param {'24h'|'12h'} clock - From the user's preferences
+ */
+export const formatDateTime = (time, clock) => {
+  return new Date(time).toLocaleString('en-SG', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: clock === '12h'
+  });
+};
+
+/**
+ * Text for when the arrivals store will next refresh a stop
+ * @param {Object} arrivals - Snapshot from useBusArrivals()
+ * @param {Date} now - Clock tick
+ */
+export const describeNextRefresh = ({ isFetching, nextRefreshAt }, now) => {
+  if (isFetching) return 'Refreshing now...';
+  if (!nextRefreshAt) return 'Automatic updates paused';
+
+  const seconds = Math.max(0, Math.ceil((nextRefreshAt - now) / 1000));
+  if (seconds === 0) return 'Refreshing now...';
+  const wait = seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)} min ${seconds % 60}s`;
+  return `Next refresh in ${wait}`;
+};
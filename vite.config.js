@@ -1,10 +1,63 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// Path the build is deployed under; GitHub Pages serves the repo name
+const DEPLOY_PATH = process.env.BASE_PATH || '/hop_on_sg_tracker/'
+
+if (!/^\/(.*\/)?$/.test(DEPLOY_PATH)) {
+  throw new Error(`BASE_PATH must start and end with "/", got "${DEPLOY_PATH}"`)
+}
+
+/**
+ * Write the deploy path into index.html as <base href>
+ * Built URLs are relative, so they resolve against it even on a deep link
+ * such as /hop_on_sg_tracker/dashboards/44411/x, and serving the same build
+ * from another path only takes changing that one href
+ */
+const deployPathBase = () => {
+  let isBuild = false
+  return {
+    name: 'deploy-path-base',
+    configResolved(config) {
+      isBuild = config.command === 'build'
+    },
+    transformIndexHtml: () => [
+      // The dev server always serves from the root
+      { tag: 'base', attrs: { href: isBuild ? DEPLOY_PATH : '/' }, injectTo: 'head-prepend' }
+    ]
+  }
+}
+
+/**
+ * Write the hashed build files into dist/sw.js, so the service worker can
+ * precache the whole app shell on install instead of waiting to see each
+ * file requested
+ */
+const precacheBuildAssets = () => ({
+  name: 'precache-build-assets',
+  apply: 'build',
+  async writeBundle(options, bundle) {
+    const assets = Object.keys(bundle).filter(file => file.startsWith('assets/')).sort()
+    const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+
+    const swPath = path.join(options.dir, 'sw.js')
+    const source = await readFile(swPath, 'utf8')
+    const filled = source
+      .replace(/^const BUILD_ID = .*;$/m, `const BUILD_ID = '${buildId}';`)
+      .replace(/^const BUILD_ASSETS = .*;$/m, `const BUILD_ASSETS = ${JSON.stringify(assets)};`)
+
+    if (filled === source) throw new Error('sw.js has no BUILD_ID / BUILD_ASSETS placeholders to fill')
+    await writeFile(swPath, filled)
+  }
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), deployPathBase(), precacheBuildAssets()],
   // build: '/',
   build: {
     sourcemap: false,
@@ -12,15 +65,16 @@ export default defineConfig({
     target: 'es2022',
     treeshake: true,
   },
-  base: '/hop_on_sg_tracker/',
+  // Relative, resolved against the <base href> deployPathBase() writes
+  base: './',
   server: {
     port: 5173,
     host: '0.0.0.0',
-     proxy: {
+    // Forward API calls to the local proxy server (npm run server)
+    proxy: {
       '/api': {
-        target: 'https://datamall2.mytransport.sg/ltaodataservice/v3',
+        target: process.env.API_PROXY_TARGET || 'http://localhost:3001',
         changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api/, ''),
       }
     }
   }